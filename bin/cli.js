@@ -19,21 +19,63 @@ const commandMap = {
     '-g': 'google',
     '-b': 'bacen', 
     '-u': 'update',
+    '-c': 'consensus',
     '-h': 'help',
     '--google': 'google',
     '--bacen': 'bacen',
     '--update': 'update',
+    '--consensus': 'consensus',
     '--help': 'help'
 };
 
+/**
+ * 🚩 Flags que não recebem valor (não consomem o próximo argumento)
+ * @type {Array<string>}
+ */
+const booleanFlags = ['refresh', 'swr', 'json', 'http'];
+
+/**
+ * 🐫 Converte nome de flag kebab-case para camelCase
+ * @param {string} name - Nome da flag (ex: no-cache)
+ * @returns {string} Nome em camelCase (ex: noCache)
+ */
+const toCamelCase = name => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
 /**
  * 🔄 Processa argumentos da linha de comando
  * @type {Array}
  */
-let processedArgs = [];
-if (args.length > 0) {
-    const command = commandMap[args[0]] || args[0];
-    processedArgs = [command];
+const processedArgs = [];
+
+/**
+ * ⚙️ Opções recebidas via --flag, --flag valor ou --flag=valor
+ * @type {Object}
+ */
+const options = {};
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (commandMap[arg]) {
+        processedArgs.push(commandMap[arg]);
+        continue;
+    }
+
+    if (arg.startsWith('--')) {
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/);
+        const key = toCamelCase(name);
+
+        if (inlineValue !== undefined) {
+            options[key] = inlineValue;
+        } else if (booleanFlags.includes(name) || i + 1 >= args.length || args[i + 1].startsWith('--')) {
+            options[key] = true;
+        } else {
+            options[key] = args[++i];
+        }
+        continue;
+    }
+
+    processedArgs.push(arg);
 }
 
 // ℹ️ Exibe ajuda se solicitado pelo usuário
@@ -46,17 +88,60 @@ USO:
   ravc google          Usa Google Finance direto
   ravc bacen           Usa Banco Central direto  
   ravc update          Modo atualização contínua
+  ravc history         Histórico PTAX por período
+  ravc consensus       Consulta todas as fontes e compara
+  ravc bulletins       Boletins PTAX do dia (abertura ao fechamento)
+  ravc doctor          Diagnostica as fontes (sai com erro se alguma quebrou)
+  ravc convert <valor> <de> <para>
+                       Converte entre moedas (taxa cruzada se preciso)
+  ravc cost <valor>    Custo efetivo da compra (spread, IOF e tarifas)
+  ravc need <valor>    Quanto enviar para o destino receber o valor exato
+  ravc calc "<expr>"   Calculadora com moedas (ex: "100 USD + 250 BRL in USD")
+  ravc convert-file <arquivo> --column <coluna>
+                       Converte uma coluna de um CSV ou JSON lines
 
 OPÇÕES:
   -g, --google         Google Finance direto
   -b, --bacen          Banco Central direto
   -u, --update         Atualização contínua
+  -c, --consensus      Consenso entre todas as fontes
   -h, --help           Mostra esta ajuda
+  --http               Google Finance via HTTP, sem navegador
+  --refresh            Ignora o cache e busca a cotação nas fontes
+  --swr                Usa cache vencido e atualiza em segundo plano
+  --pair <par>         Par de moedas (ex: EUR-BRL; padrão USD-BRL)
+  --sources <lista>    Ordem das fontes (ex: awesome,bacen)
+  --rounding <modo>    Arredondamento: half-even (padrão), half-up ou truncate
+  --iof <preset>       IOF do custo efetivo: card, cash, wire ou investment
+  --spread <%>         Spread do banco no custo efetivo
+  --fee <valor>        Tarifas fixas no custo efetivo (moeda cotada)
+  --foreign-fee <v>    Tarifa descontada no exterior no need (moeda base)
+  --record <dir>       Grava as respostas das fontes em fixtures
+  --replay <dir>       Modo offline: reproduz fixtures gravadas
+  --from, --to         Período do histórico (AAAA-MM-DD) ou moedas do convert-file
+  --column <coluna>    Coluna dos valores no convert-file
+  --date-column <col>  Coluna de data: cada linha usa a PTAX do dia
+  --output <arquivo>   Arquivo de saída do convert-file (padrão: stdout)
+  --date               Data dos boletins PTAX ou da PTAX do convert (AAAA-MM-DD)
+  --fiscal [preset]    Taxa fiscal da Receita no convert: carne-leao, capital-gain ou assets
+                       (--date vira a data da operação)
+  --format             Formato do histórico: table, json ou csv
+  --json               Saída em JSON (histórico, consenso, boletins, doctor, convert, cost, need e calc)
 
 EXEMPLOS:
   ravc                 Menu completo
   ravc -g              Google Finance
   ravc update          Atualiza a cada 5min
+  ravc --pair EUR-BRL  Cotação do euro
+  ravc convert 100 EUR USD --json
+  ravc cost 100 --iof card --spread 4 --fee 10
+  ravc need 2000 --iof wire --spread 1.5 --foreign-fee 25
+  ravc convert "US$ 1.500" BRL
+  ravc convert 1200 USD BRL --date 2026-03-15
+  ravc convert 3000 USD BRL --fiscal carne-leao --date 2026-04-10
+  ravc calc "1500 USD - 10% in BRL"
+  ravc convert-file despesas.csv --column valor --from USD --to BRL --date-column data
+  ravc history --from 2026-01-01 --to 2026-03-31 --format csv
 
 📖 Mais info: https://github.com/ravenastar-js/ravc
     `);
@@ -68,7 +153,7 @@ EXEMPLOS:
  * @async
  * @function startApplication
  */
-ravc.start(processedArgs).catch(error => {
+ravc.start(processedArgs, options).catch(error => {
     console.error('💥 Falha crítica ao iniciar RAVC:', error.message);
     process.exit(1);
 });
\ No newline at end of file
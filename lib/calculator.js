@@ -0,0 +1,505 @@
+const converter = require('./converter');
+const scraper = require('./scraper');
+const pairs = require('./pairs');
+const amountParser = require('./utils/amountParser');
+const Decimal = require('./utils/decimal');
+
+/**
+ * 🧮 Calculadora de Expressões
+ * @class Calculator
+ * @description Avalia contas com moedas misturadas ("100 USD + 250 BRL in USD", "1500 USD - 10%", "100 * taxa")
+ */
+class Calculator {
+    /**
+     * 🏗️ Construtor da classe Calculator
+     * @constructor
+     */
+    constructor() {
+        // 🎯 Palavras que introduzem a moeda do resultado
+        this.targetKeywords = ['in', 'em', 'para', 'to'];
+        // 📈 Variáveis da cotação atual (valor de 1 unidade da moeda base, na moeda cotada)
+        this.variables = {
+            taxa: 'rate',
+            rate: 'rate',
+            compra: 'bid',
+            bid: 'bid',
+            venda: 'ask',
+            ask: 'ask'
+        };
+        this.operators = { '+': '+', '-': '-', '−': '-', '*': '*', '×': '*', 'x': '*', '/': '/', '÷': '/' };
+    }
+
+    /**
+     * 🧮 Calcula a expressão buscando as cotações necessárias
+     * @param {string} expression - Expressão (ex: "100 USD + 250 BRL in USD")
+     * @returns {Promise<Object>} Resultado de evaluate()
+     */
+    async calculate(expression) {
+        const parsed = this.parse(expression);
+        const exchangeData = parsed.variables.length > 0 ? await scraper.getExchangeRate() : null;
+        const target = this.getTarget(parsed, exchangeData);
+
+        // 🕸️ Um caminho por moeda até a moeda do resultado; as cotações são buscadas uma vez por par
+        const availablePairs = [scraper.pair, ...pairs.list()];
+        const paths = {};
+        for (const currency of this.getCurrencies(parsed, exchangeData)) {
+            if (currency !== target) {
+                paths[currency] = converter.findPath(currency, target, availablePairs);
+            }
+        }
+
+        const pairIds = Object.values(paths).flatMap(path => path.map(leg => leg.pair));
+        const quotes = pairIds.length > 0 ? await scraper.getQuotes(pairIds) : {};
+        const conversions = Object.values(paths).map(path => converter.convertPath(1, path, quotes));
+
+        return this.evaluate(parsed, { target, conversions, exchangeData });
+    }
+
+    /**
+     * 🔤 Interpreta a expressão sem calcular (valida a sintaxe)
+     * @param {string} expression - Expressão
+     * @returns {Object} expression, ast, target (moeda pedida ou null), currencies e variables usadas
+     * @throws {Error} Com o motivo, se a expressão for inválida
+     */
+    parse(expression) {
+        const text = String(expression ?? '').trim();
+        if (!text) {
+            throw new Error('❌ Digite uma expressão (ex: 100 USD + 250 BRL in USD)');
+        }
+
+        const tokens = this.tokenize(text);
+        const state = { tokens, position: 0, currencies: [], variables: [] };
+        const ast = this.parseSum(state);
+        let target = null;
+
+        if (this.peek(state)?.type === 'target') {
+            state.position++;
+            const currency = this.peek(state);
+            if (currency?.type !== 'currency') {
+                throw new Error('❌ Informe a moeda do resultado depois de "in" (ex: in BRL)');
+            }
+            target = currency.value;
+            state.currencies.push(target);
+            state.position++;
+        }
+
+        if (state.position < tokens.length) {
+            throw new Error(`❌ Não entendi "${tokens[state.position].text}" na expressão`);
+        }
+
+        return {
+            expression: text,
+            ast: ast,
+            target: target,
+            currencies: [...new Set(state.currencies)],
+            variables: [...new Set(state.variables)]
+        };
+    }
+
+    /**
+     * ✂️ Quebra a expressão em valores, moedas, variáveis e operadores
+     * @param {string} text - Expressão
+     * @returns {Array<Object>} Tokens (type, value e text)
+     * @private
+     */
+    tokenize(text) {
+        const tokens = [];
+        const amountPattern = /^(?:US\$|U\$|R\$|€|£|\$)?\s*(?:\d[\d.,]*|[.,]\d+)(?:\s*(?:k|mil|mi|bi)(?![a-zà-ú]))?/i;
+        let rest = text;
+
+        while ((rest = rest.trimStart())) {
+            const amount = rest.match(amountPattern);
+            const arrow = rest.match(/^(->|=>|→)/);
+            const word = rest.match(/^[a-zà-ú]+/i);
+            let token;
+
+            if (arrow) {
+                token = { type: 'target', text: arrow[0] };
+            } else if (amount && /\d/.test(amount[0])) {
+                const parsed = amountParser.parse(amount[0]);
+                token = { type: 'number', value: parsed.value, currency: parsed.currency, text: amount[0] };
+            } else if (word) {
+                token = this.readWord(word[0]);
+            } else if (this.operators[rest[0]]) {
+                token = { type: 'operator', value: this.operators[rest[0]], text: rest[0] };
+            } else if ('()%'.includes(rest[0])) {
+                token = { type: rest[0], text: rest[0] };
+            } else {
+                throw new Error(`❌ Não entendi "${rest}" na expressão`);
+            }
+
+            tokens.push(token);
+            rest = rest.slice(token.text.length);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 🔤 Classifica uma palavra: "in", variável, operador "x" ou código de moeda
+     * @param {string} word - Palavra
+     * @returns {Object} Token
+     * @private
+     */
+    readWord(word) {
+        const lower = word.toLowerCase();
+
+        if (this.targetKeywords.includes(lower)) {
+            return { type: 'target', text: word };
+        }
+        if (this.variables[lower]) {
+            return { type: 'variable', value: this.variables[lower], text: word };
+        }
+        if (this.operators[lower]) {
+            return { type: 'operator', value: this.operators[lower], text: word };
+        }
+        if (/^[a-z]{3}$/i.test(word)) {
+            const code = word.toUpperCase();
+            if (!this.getKnownCurrencies().has(code)) {
+                throw new Error(`❌ Moeda desconhecida: ${code} (moedas dos pares: ${[...this.getKnownCurrencies()].join(', ')})`);
+            }
+            return { type: 'currency', value: code, text: word };
+        }
+
+        throw new Error(`❌ Palavra desconhecida: "${word}" (use códigos de moeda como USD, "in BRL" ou ${Object.keys(this.variables).join(', ')})`);
+    }
+
+    /**
+     * 💱 Moedas dos pares configurados e do par atual
+     * @returns {Set<string>} Códigos de moeda
+     * @private
+     */
+    getKnownCurrencies() {
+        const codes = [...pairs.list(), scraper.pair].flatMap(pair => {
+            const { base, quote } = pairs.parse(pair);
+            return [base, quote];
+        });
+        return new Set(codes);
+    }
+
+    /**
+     * ➕ Soma e subtração
+     * @param {Object} state - Tokens e posição
+     * @returns {Object} Nó da expressão
+     * @private
+     */
+    parseSum(state) {
+        let node = this.parseProduct(state);
+
+        while (['+', '-'].includes(this.peekOperator(state))) {
+            const operator = state.tokens[state.position++].value;
+            node = { type: 'binary', operator, left: node, right: this.parseProduct(state) };
+        }
+
+        return node;
+    }
+
+    /**
+     * ✖️ Multiplicação e divisão
+     * @param {Object} state - Tokens e posição
+     * @returns {Object} Nó da expressão
+     * @private
+     */
+    parseProduct(state) {
+        let node = this.parseUnary(state);
+
+        while (['*', '/'].includes(this.peekOperator(state))) {
+            const operator = state.tokens[state.position++].value;
+            node = { type: 'binary', operator, left: node, right: this.parseUnary(state) };
+        }
+
+        return node;
+    }
+
+    /**
+     * ➖ Sinal negativo
+     * @param {Object} state - Tokens e posição
+     * @returns {Object} Nó da expressão
+     * @private
+     */
+    parseUnary(state) {
+        if (this.peekOperator(state) === '-') {
+            state.position++;
+            return { type: 'negate', operand: this.parseUnary(state) };
+        }
+
+        return this.parsePostfix(state);
+    }
+
+    /**
+     * 🏷️ Valor seguido de "%" ou de código de moeda ("10%", "100 USD", "(100 + 50) EUR")
+     * @param {Object} state - Tokens e posição
+     * @returns {Object} Nó da expressão
+     * @private
+     */
+    parsePostfix(state) {
+        let node = this.parsePrimary(state);
+
+        if (this.peek(state)?.type === '%') {
+            state.position++;
+            return { type: 'percent', operand: node };
+        }
+
+        if (this.peek(state)?.type === 'currency') {
+            const currency = state.tokens[state.position++].value;
+            if (node.type === 'number' && node.currency && node.currency !== currency) {
+                throw new Error(`❌ Valor com duas moedas: ${node.currency} e ${currency}`);
+            }
+            state.currencies.push(currency);
+            node = node.type === 'number' ? { ...node, currency } : { type: 'currency', currency, operand: node };
+        }
+
+        return node;
+    }
+
+    /**
+     * 🔢 Número, variável ou expressão entre parênteses
+     * @param {Object} state - Tokens e posição
+     * @returns {Object} Nó da expressão
+     * @private
+     */
+    parsePrimary(state) {
+        const token = this.peek(state);
+
+        if (!token) {
+            throw new Error('❌ Expressão incompleta');
+        }
+
+        state.position++;
+
+        if (token.type === 'number') {
+            if (token.currency) state.currencies.push(token.currency);
+            return { type: 'number', value: token.value, currency: token.currency };
+        }
+
+        if (token.type === 'variable') {
+            state.variables.push(token.value);
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.type === '(') {
+            const node = this.parseSum(state);
+            if (this.peek(state)?.type !== ')') {
+                throw new Error('❌ Parêntese aberto sem fechar');
+            }
+            state.position++;
+            return node;
+        }
+
+        throw new Error(`❌ Esperava um valor, mas veio "${token.text}"`);
+    }
+
+    /**
+     * 👀 Token atual
+     * @param {Object} state - Tokens e posição
+     * @returns {Object|undefined} Token
+     * @private
+     */
+    peek(state) {
+        return state.tokens[state.position];
+    }
+
+    /**
+     * 👀 Operador atual
+     * @param {Object} state - Tokens e posição
+     * @returns {string|null} Operador (+, -, * ou /) ou null
+     * @private
+     */
+    peekOperator(state) {
+        const token = this.peek(state);
+        return token?.type === 'operator' ? token.value : null;
+    }
+
+    /**
+     * 🎯 Moeda do resultado: a pedida com "in", senão a primeira da expressão (ou a cotada, se só houver variáveis)
+     * @param {Object} parsed - Resultado de parse()
+     * @param {Object|null} exchangeData - Cotação atual (quando a expressão usa variáveis)
+     * @returns {string|null} Moeda ou null (conta sem moeda)
+     */
+    getTarget(parsed, exchangeData = null) {
+        if (parsed.target) return parsed.target;
+        if (parsed.currencies.length > 0) return parsed.currencies[0];
+        return exchangeData ? pairs.parse(exchangeData.pair || scraper.pair).quote : null;
+    }
+
+    /**
+     * 💱 Moedas que aparecem na expressão (inclui a cotada, se houver variáveis)
+     * @param {Object} parsed - Resultado de parse()
+     * @param {Object|null} exchangeData - Cotação atual
+     * @returns {Array<string>} Moedas
+     * @private
+     */
+    getCurrencies(parsed, exchangeData) {
+        const currencies = [...parsed.currencies];
+        if (exchangeData) {
+            currencies.push(pairs.parse(exchangeData.pair || scraper.pair).quote);
+        }
+        return [...new Set(currencies)];
+    }
+
+    /**
+     * 🧮 Avalia a expressão com as taxas já obtidas
+     * @param {Object} parsed - Resultado de parse()
+     * @param {Object} context - target, conversions (convertPath de 1 unidade de cada moeda) e exchangeData
+     * @returns {Object} expression, currency, result (arredondado), rawResult (exato), rounding, conversions, quote e sources
+     */
+    evaluate(parsed, context = {}) {
+        const target = context.target ?? this.getTarget(parsed, context.exchangeData);
+        const rates = {};
+        for (const conversion of context.conversions || []) {
+            rates[conversion.from] = Decimal.from(conversion.rawResult);
+        }
+
+        const value = this.evaluateNode(parsed.ast, { ...context, target, rates });
+        if (value.percent) {
+            throw new Error('❌ Porcentagem solta: use junto de um valor (ex: 1500 USD - 10%)');
+        }
+
+        // ➗ Proporções (moeda ÷ moeda) e contas sem moeda saem sem moeda, salvo com "in"
+        const currency = value.money || parsed.target ? target : null;
+        const rounded = currency
+            ? converter.round(value.amount, currency)
+            : { value: value.amount.toNumber(), raw: value.amount.toString(), mode: null, precision: null };
+
+        const sources = [
+            ...(context.conversions || []).flatMap(conversion => conversion.path.map(leg => leg.source)),
+            ...(context.exchangeData ? [context.exchangeData.source] : [])
+        ];
+
+        return {
+            expression: parsed.expression,
+            currency: currency,
+            result: rounded.value,
+            rawResult: rounded.raw,
+            rounding: { mode: rounded.mode, precision: rounded.precision },
+            conversions: (context.conversions || []).map(conversion => ({
+                from: conversion.from,
+                to: conversion.to,
+                rate: conversion.rate,
+                triangulated: conversion.triangulated,
+                path: conversion.path
+            })),
+            quote: context.exchangeData ? {
+                pair: context.exchangeData.pair,
+                rate: context.exchangeData.rate,
+                bid: converter.getSideRate(context.exchangeData, 'sell'),
+                ask: converter.getSideRate(context.exchangeData, 'buy'),
+                source: context.exchangeData.source
+            } : null,
+            sources: [...new Set(sources)]
+        };
+    }
+
+    /**
+     * 🌳 Avalia um nó (valores em moeda já convertidos para a moeda do resultado)
+     * @param {Object} node - Nó da expressão
+     * @param {Object} context - target, rates e exchangeData
+     * @returns {Object} amount (Decimal), money (se está em moeda) e percent
+     * @private
+     */
+    evaluateNode(node, context) {
+        switch (node.type) {
+            case 'number':
+                return node.currency
+                    ? { amount: this.toTarget(node.value, node.currency, context), money: true }
+                    : { amount: node.value, money: false };
+            case 'variable': {
+                const exchangeData = context.exchangeData;
+                const rate = node.name === 'rate'
+                    ? exchangeData.rate
+                    : converter.getSideRate(exchangeData, node.name === 'bid' ? 'sell' : 'buy');
+                const quote = pairs.parse(exchangeData.pair || scraper.pair).quote;
+                return { amount: this.toTarget(Decimal.from(rate), quote, context), money: true };
+            }
+            case 'currency': {
+                const value = this.evaluateNode(node.operand, context);
+                if (value.money || value.percent) {
+                    throw new Error(`❌ ${node.currency} aplicado a um valor que já tem moeda`);
+                }
+                return { amount: this.toTarget(value.amount, node.currency, context), money: true };
+            }
+            case 'percent': {
+                const value = this.evaluateNode(node.operand, context);
+                if (value.money || value.percent) {
+                    throw new Error('❌ Porcentagem só vale para números (ex: 10%)');
+                }
+                return { amount: value.amount, money: false, percent: true };
+            }
+            case 'negate': {
+                const value = this.evaluateNode(node.operand, context);
+                return { ...value, amount: Decimal.from(0).minus(value.amount) };
+            }
+            default:
+                return this.evaluateBinary(node, context);
+        }
+    }
+
+    /**
+     * ➕ Avalia uma operação entre dois valores
+     * @param {Object} node - Nó binário (operator, left e right)
+     * @param {Object} context - target, rates e exchangeData
+     * @returns {Object} amount, money e percent
+     * @private
+     */
+    evaluateBinary(node, context) {
+        const left = this.evaluateNode(node.left, context);
+        const right = this.evaluateNode(node.right, context);
+        const scale = converter.config.divisionScale;
+
+        if (left.percent) {
+            throw new Error('❌ Porcentagem deve vir depois do valor (ex: 1500 USD - 10%)');
+        }
+
+        // 📉 "1500 USD - 10%": a porcentagem é do valor à esquerda
+        const fraction = right.percent ? right.amount.dividedBy(100, scale) : null;
+
+        switch (node.operator) {
+            case '+':
+            case '-': {
+                const amount = fraction ? left.amount.times(fraction) : right.amount;
+                return {
+                    amount: node.operator === '+' ? left.amount.plus(amount) : left.amount.minus(amount),
+                    money: left.money || right.money
+                };
+            }
+            case '*':
+                if (left.money && right.money) {
+                    throw new Error('❌ Não dá para multiplicar dois valores em moeda (taxa, compra e venda já estão na moeda cotada: use 100 * taxa)');
+                }
+                return { amount: left.amount.times(fraction || right.amount), money: left.money || right.money };
+            default: {
+                const divisor = fraction || right.amount;
+                if (divisor.compare(0) === 0) {
+                    throw new Error('❌ Divisão por zero');
+                }
+                if (right.money && !left.money) {
+                    throw new Error('❌ Não dá para dividir um número por um valor em moeda');
+                }
+                // ➗ Moeda ÷ moeda dá uma proporção, sem moeda
+                return { amount: left.amount.dividedBy(divisor, scale), money: left.money && !right.money };
+            }
+        }
+    }
+
+    /**
+     * 💱 Converte um valor para a moeda do resultado
+     * @param {Decimal} amount - Valor
+     * @param {string} currency - Moeda do valor
+     * @param {Object} context - target e rates (1 unidade da moeda → moeda do resultado)
+     * @returns {Decimal} Valor na moeda do resultado
+     * @private
+     */
+    toTarget(amount, currency, context) {
+        if (currency === context.target) {
+            return amount;
+        }
+
+        const rate = context.rates[currency];
+        if (!rate) {
+            throw new Error(`❌ Sem taxa de ${currency} para ${context.target}`);
+        }
+        return amount.times(rate);
+    }
+}
+
+module.exports = new Calculator();
@@ -0,0 +1,167 @@
+const calendarConfig = require('./config/calendar.json');
+
+/**
+ * 📅 Calendário de Dias Úteis (Brasil / BCB)
+ * @class BusinessCalendar
+ * @description Feriados nacionais e dias sem PTAX, para achar a última data com cotação publicada
+ */
+class BusinessCalendar {
+    /**
+     * 🏗️ Construtor da classe BusinessCalendar
+     * @constructor
+     */
+    constructor() {
+        this.config = calendarConfig;
+        this.holidayCache = new Map();
+    }
+
+    /**
+     * 🎉 Lista feriados e dias sem pregão de um ano
+     * @param {number} year - Ano
+     * @returns {Map<string, string>} Data ISO (YYYY-MM-DD) → nome do feriado
+     */
+    getHolidays(year) {
+        if (this.holidayCache.has(year)) {
+            return this.holidayCache.get(year);
+        }
+
+        const holidays = new Map();
+
+        for (const holiday of this.config.fixedHolidays) {
+            if (!holiday.since || year >= holiday.since) {
+                holidays.set(`${year}-${holiday.date}`, holiday.name);
+            }
+        }
+
+        const easter = this.getEaster(year);
+        for (const holiday of this.config.easterHolidays) {
+            const date = new Date(easter);
+            date.setDate(date.getDate() + holiday.offset);
+            holidays.set(this.toISODate(date), holiday.name);
+        }
+
+        for (const closed of this.config.extraClosedDates) {
+            if (closed.date.startsWith(`${year}-`)) {
+                holidays.set(closed.date, closed.name);
+            }
+        }
+
+        this.holidayCache.set(year, holidays);
+        return holidays;
+    }
+
+    /**
+     * 🎉 Obtém nome do feriado na data
+     * @param {Date} date - Data
+     * @returns {string|null} Nome do feriado ou null
+     */
+    getHolidayName(date) {
+        return this.getHolidays(date.getFullYear()).get(this.toISODate(date)) || null;
+    }
+
+    /**
+     * ✅ Verifica se é dia útil (sem fim de semana nem feriado)
+     * @param {Date} date - Data
+     * @returns {boolean} Se é dia útil
+     */
+    isBusinessDay(date) {
+        const weekDay = date.getDay();
+        return weekDay !== 0 && weekDay !== 6 && !this.getHolidayName(date);
+    }
+
+    /**
+     * ⏮️ Obtém o último dia útil até a data (inclusive)
+     * @param {Date} date - Data de referência (padrão: hoje)
+     * @returns {Date} Último dia útil
+     */
+    lastBusinessDay(date = new Date()) {
+        const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        while (!this.isBusinessDay(result)) {
+            result.setDate(result.getDate() - 1);
+        }
+        return result;
+    }
+
+    /**
+     * ⏮️ Obtém o dia útil anterior à data (exclusive)
+     * @param {Date} date - Data de referência
+     * @returns {Date} Dia útil anterior
+     */
+    previousBusinessDay(date) {
+        const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        result.setDate(result.getDate() - 1);
+        return this.lastBusinessDay(result);
+    }
+
+    /**
+     * 📋 Lista dias úteis candidatos a ter PTAX, do mais recente para trás
+     * @param {Date} date - Data de referência (padrão: hoje)
+     * @returns {Array<Date>} Datas candidatas
+     */
+    getPtaxCandidates(date = new Date()) {
+        const candidates = [this.lastBusinessDay(date)];
+        while (candidates.length < this.config.ptaxLookbackDays) {
+            candidates.push(this.previousBusinessDay(candidates[candidates.length - 1]));
+        }
+        return candidates;
+    }
+
+    /**
+     * 🇧🇷 Formata data de referência (ex: "sexta-feira, 17/10")
+     * @param {Date|string} date - Data ou data ISO (YYYY-MM-DD)
+     * @returns {string} Data formatada
+     */
+    formatReference(date) {
+        const value = typeof date === 'string' ? this.fromISODate(date) : date;
+        const weekDay = value.toLocaleDateString('pt-BR', { weekday: 'long' });
+        const dayMonth = value.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+        return `${weekDay}, ${dayMonth}`;
+    }
+
+    /**
+     * 🔤 Formata data como YYYY-MM-DD (horário local)
+     * @param {Date} date - Data
+     * @returns {string} Data ISO
+     */
+    toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 🔤 Converte YYYY-MM-DD em Date local
+     * @param {string} isoDate - Data ISO
+     * @returns {Date} Data
+     */
+    fromISODate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * 🐣 Calcula o domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+     * @param {number} year - Ano
+     * @returns {Date} Data da Páscoa
+     * @private
+     */
+    getEaster(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+}
+
+module.exports = new BusinessCalendar();
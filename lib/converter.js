@@ -1,9 +1,14 @@
 const { colors } = require('./config/colors');
+const pairs = require('./pairs');
+const calendar = require('./calendar');
+const converterConfig = require('./config/converter.json');
+const Decimal = require('./utils/decimal');
+const amountParser = require('./utils/amountParser');
 
 /**
  * 💱 Sistema de Conversão de Moedas
  * @class Converter
- * @description Gerencia conversões USD/BRL com formatação
+ * @description Gerencia conversões entre as moedas do par (ex: USD/BRL, EUR/BRL) com formatação
  */
 class Converter {
     /**
@@ -11,50 +16,429 @@ class Converter {
      * @constructor
      */
     constructor() {
+        this.config = converterConfig;
         this.decimalPlaces = 4;
+        this.roundingMode = this.config.rounding.mode;
+        this.roundingModes = ['half-even', 'half-up', 'truncate'];
     }
 
     /**
-     * 🔄 Converte valor entre moedas
-     * @param {number} amount - Valor a converter
+     * 🎯 Define o modo de arredondamento (ex: --rounding half-up)
+     * @param {string} mode - 'half-even' (bancário), 'half-up' ou 'truncate'
+     * @returns {string} Modo aplicado
+     */
+    setRoundingMode(mode) {
+        if (!this.roundingModes.includes(mode)) {
+            throw new Error(`❌ Modo de arredondamento inválido: ${mode} (use ${this.roundingModes.join(', ')})`);
+        }
+
+        this.roundingMode = mode;
+        return mode;
+    }
+
+    /**
+     * 🔢 Casas decimais da moeda (rounding.precision em converter.json)
+     * @param {string} currency - Código da moeda
+     * @returns {number} Casas decimais
+     */
+    getPrecision(currency) {
+        const precision = this.config.rounding.precision;
+        return precision[currency] ?? precision.default;
+    }
+
+    /**
+     * 🎯 Arredonda valor exato na precisão da moeda
+     * @param {number|string|Decimal} value - Valor
+     * @param {string} currency - Código da moeda
+     * @returns {Object} value (number arredondado), rounded e raw (texto exato), precision e mode
+     */
+    round(value, currency) {
+        const raw = Decimal.from(value);
+        const precision = this.getPrecision(currency);
+        const rounded = raw.round(precision, this.roundingMode);
+
+        return {
+            value: rounded.toNumber(),
+            rounded: rounded.toString(),
+            raw: raw.toString(),
+            precision: precision,
+            mode: this.roundingMode
+        };
+    }
+
+    /**
+     * 🔄 Converte valor entre moedas (em decimal exato, arredondado na precisão da moeda de destino)
+     * @param {number|string} amount - Valor a converter
      * @param {string} fromCurrency - Moeda de origem
      * @param {string} toCurrency - Moeda de destino
-     * @param {number} exchangeRate - Taxa de câmbio
+     * @param {number} exchangeRate - Taxa de câmbio (quanto 1 unidade da base vale na cotada)
+     * @param {string} pair - Par da taxa (padrão: par configurado em pairs.json)
      * @returns {number} Valor convertido
+     * @throws {Error} Se as moedas não forem as do par (use findPath/convertPath para taxas cruzadas)
      */
-    convert(amount, fromCurrency, toCurrency, exchangeRate) {
-        if (fromCurrency === 'USD' && toCurrency === 'BRL') {
-            return amount * exchangeRate;
-        } else if (fromCurrency === 'BRL' && toCurrency === 'USD') {
-            return amount / exchangeRate;
+    convert(amount, fromCurrency, toCurrency, exchangeRate, pair = pairs.getDefault()) {
+        return this.convertExact(amount, fromCurrency, toCurrency, exchangeRate, pair).value;
+    }
+
+    /**
+     * 🔢 Converte valor entre moedas mantendo o valor exato para auditoria
+     * @param {number|string} amount - Valor a converter
+     * @param {string} fromCurrency - Moeda de origem
+     * @param {string} toCurrency - Moeda de destino
+     * @param {number} exchangeRate - Taxa de câmbio
+     * @param {string} pair - Par da taxa
+     * @returns {Object} value (number arredondado), rounded e raw (texto exato), precision e mode
+     */
+    convertExact(amount, fromCurrency, toCurrency, exchangeRate, pair = pairs.getDefault()) {
+        const { base, quote } = pairs.parse(pair);
+        const value = Decimal.from(amount);
+
+        if (fromCurrency === toCurrency) {
+            return this.round(value, toCurrency);
+        } else if (fromCurrency === base && toCurrency === quote) {
+            return this.round(value.times(exchangeRate), toCurrency);
+        } else if (fromCurrency === quote && toCurrency === base) {
+            return this.round(value.dividedBy(exchangeRate, this.config.divisionScale), toCurrency);
         }
-        return amount;
+
+        throw new Error(`❌ Conversão ${fromCurrency} → ${toCurrency} não suportada pela taxa ${base}/${quote}`);
+    }
+
+    /**
+     * 🧾 Calcula o custo efetivo de comprar a moeda base (spread do banco, IOF e tarifas fixas)
+     * @param {number|string} amount - Valor na moeda base (ex: 100 USD)
+     * @param {number} exchangeRate - Taxa de referência (PTAX ou comercial)
+     * @param {Object} options - Opções do cálculo (padrões em costs, no converter.json)
+     * @param {string} options.preset - Preset de IOF: card, cash, wire ou investment
+     * @param {number|string} options.spreadPercent - Spread do banco sobre a taxa (%)
+     * @param {number|string} options.fixedFee - Tarifas fixas na moeda cotada
+     * @param {string} options.pair - Par da taxa
+     * @returns {Object} Taxas usadas e breakdown (value, spread, iof, fees, total) na moeda cotada
+     */
+    calculateCost(amount, exchangeRate, options = {}) {
+        const costs = this.config.costs;
+        const { base, quote } = pairs.parse(options.pair || pairs.getDefault());
+        const presetId = options.preset || costs.defaultPreset;
+        const preset = costs.iof[presetId];
+
+        if (!preset) {
+            throw new Error(`❌ Preset de IOF desconhecido: ${presetId} (use ${Object.keys(costs.iof).join(', ')})`);
+        }
+
+        const spreadPercent = Decimal.from(options.spreadPercent ?? costs.spreadPercent);
+        const fixedFee = Decimal.from(options.fixedFee ?? costs.fixedFee);
+        if (spreadPercent.compare(0) < 0 || fixedFee.compare(0) < 0) {
+            throw new Error('❌ Spread e tarifas não podem ser negativos');
+        }
+
+        const value = Decimal.from(amount);
+        const scale = this.config.divisionScale;
+        const atRate = value.times(exchangeRate);
+        const spread = atRate.times(spreadPercent).dividedBy(100, scale);
+        // 🏛️ IOF incide sobre o valor da operação já com o spread
+        const iof = atRate.plus(spread).times(preset.percent).dividedBy(100, scale);
+        const rawTotal = atRate.plus(spread).plus(iof).plus(fixedFee);
+
+        // 🧮 Total é a soma das parcelas arredondadas, para o breakdown fechar
+        const breakdown = {
+            value: this.round(atRate, quote).value,
+            spread: this.round(spread, quote).value,
+            iof: this.round(iof, quote).value,
+            fees: this.round(fixedFee, quote).value
+        };
+        breakdown.total = this.round(
+            Decimal.from(breakdown.value).plus(breakdown.spread).plus(breakdown.iof).plus(breakdown.fees), quote).value;
+
+        return {
+            preset: presetId,
+            label: preset.label,
+            from: base,
+            to: quote,
+            amount: value.toNumber(),
+            rate: exchangeRate,
+            spreadPercent: spreadPercent.toNumber(),
+            effectiveRate: atRate.plus(spread).dividedBy(value, scale).toNumber(),
+            iofPercent: preset.percent,
+            breakdown: breakdown,
+            rawTotal: rawTotal.toString(),
+            totalRate: rawTotal.dividedBy(value, scale).toNumber(),
+            rounding: { mode: this.roundingMode, precision: this.getPrecision(quote) }
+        };
+    }
+
+    /**
+     * 🎯 Calcula quanto pagar na moeda cotada para o destinatário receber exatamente o valor na moeda base
+     * (inverso do custo efetivo: spread e IOF são proporcionais e as tarifas fixas, então a conta fecha sem iteração)
+     * @param {number|string} targetAmount - Valor que o destinatário deve receber na moeda base (ex: 2000 USD)
+     * @param {number} exchangeRate - Taxa de referência (PTAX ou comercial)
+     * @param {Object} options - preset, spreadPercent, fixedFee (na moeda cotada) e pair, como em calculateCost()
+     * @param {number|string} options.foreignFee - Tarifa descontada do envio na moeda base (ex: 25 USD da remessa)
+     * @returns {Object} Resultado de calculateCost() para o valor comprado (alvo + tarifa), com target, foreignFee
+     *   e targetRate (quanto sai cada unidade recebida); breakdown.total é o valor a pagar, arredondado para cima
+     */
+    calculateRequired(targetAmount, exchangeRate, options = {}) {
+        const target = Decimal.from(targetAmount);
+        const foreignFee = Decimal.from(options.foreignFee ?? this.config.costs.foreignFee);
+        if (foreignFee.compare(0) < 0) {
+            throw new Error('❌ Tarifa no exterior não pode ser negativa');
+        }
+
+        // 🔁 Compra o alvo mais a tarifa no exterior; o custo efetivo dessa compra é o valor a pagar
+        const cost = this.calculateCost(target.plus(foreignFee), exchangeRate, options);
+
+        // ⬆️ Total arredondado para cima, senão o destinatário recebe centavos a menos; o valor da compra absorve a diferença
+        const { breakdown, rounding } = cost;
+        const total = Decimal.from(cost.rawTotal).round(rounding.precision, 'ceiling');
+        const value = total.minus(breakdown.spread).minus(breakdown.iof).minus(breakdown.fees);
+
+        return {
+            ...cost,
+            breakdown: { ...breakdown, value: value.toNumber(), total: total.toNumber() },
+            target: target.toNumber(),
+            foreignFee: foreignFee.toNumber(),
+            targetRate: Decimal.from(cost.rawTotal).dividedBy(target, this.config.divisionScale).toNumber()
+        };
+    }
+
+    /**
+     * 🕸️ Encontra o caminho de conversão entre duas moedas (menor número de pernas)
+     * @param {string} fromCurrency - Moeda de origem
+     * @param {string} toCurrency - Moeda de destino
+     * @param {Array<string>} pairIds - Pares com cotação disponível (padrão: pares de pairs.json)
+     * @returns {Array<Object>} Pernas com pair, from, to e inverse (vazio se as moedas forem iguais)
+     * @throws {Error} Se alguma moeda for inválida ou não houver caminho pelos pares
+     */
+    findPath(fromCurrency, toCurrency, pairIds = pairs.list()) {
+        const from = this.normalizeCurrency(fromCurrency);
+        const to = this.normalizeCurrency(toCurrency);
+        const graph = this.createGraph(pairIds);
+
+        if (from === to) {
+            return [];
+        }
+
+        // 🔎 Busca em largura: cotação direta vence triangulação
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const currency = queue.shift();
+            if (currency === to) break;
+
+            for (const leg of graph.get(currency) || []) {
+                if (!previous.has(leg.to)) {
+                    previous.set(leg.to, leg);
+                    queue.push(leg.to);
+                }
+            }
+        }
+
+        if (!previous.has(to)) {
+            throw new Error(`❌ Sem cotação para converter ${from} → ${to} (pares disponíveis: ${[...new Set(pairIds)].join(', ')})`);
+        }
+
+        const path = [];
+        for (let leg = previous.get(to); leg; leg = previous.get(leg.from)) {
+            path.unshift(leg);
+        }
+        return path;
+    }
+
+    /**
+     * 🔀 Converte seguindo as pernas de findPath() com as cotações de cada par
+     * @param {number|string} amount - Valor a converter
+     * @param {Array<Object>} path - Pernas retornadas por findPath()
+     * @param {Object} quotes - Par → dados da cotação
+     * @param {Object} options - Opções da conversão
+     * @param {string} options.quoteSide - Força o lado da cotação em todas as pernas: 'bid' (PTAX de compra)
+     *   ou 'ask' (PTAX de venda), como nas regras da Receita
+     * @returns {Object} from, to, amount, result (arredondado), rawResult (exato), rounding, rate efetiva,
+     *   triangulated e path com a taxa, a fonte e a data de referência (PTAX) de cada perna
+     */
+    convertPath(amount, path, quotes, options = {}) {
+        if (path.length === 0) {
+            throw new Error('❌ Caminho de conversão vazio');
+        }
+
+        const value = Decimal.from(amount);
+        let raw = value;
+        const legs = path.map(leg => {
+            const exchangeData = quotes[leg.pair];
+            if (!exchangeData) {
+                throw new Error(`❌ Cotação de ${leg.pair} ausente`);
+            }
+
+            // 🔁 Perna direta vende a moeda base (bid); perna inversa compra a base (ask)
+            const sideRate = options.quoteSide
+                ? exchangeData[options.quoteSide] || exchangeData.rate
+                : this.getSideRate(exchangeData, leg.inverse ? 'buy' : 'sell');
+            raw = leg.inverse
+                ? raw.dividedBy(sideRate, this.config.divisionScale)
+                : raw.times(sideRate);
+            const rate = leg.inverse ? 1 / sideRate : sideRate;
+
+            return {
+                pair: leg.pair,
+                from: leg.from,
+                to: leg.to,
+                inverse: leg.inverse,
+                rate: rate,
+                source: exchangeData.source,
+                timestamp: exchangeData.timestamp,
+                referenceDate: exchangeData.referenceDate || null
+            };
+        });
+
+        const to = path[path.length - 1].to;
+        const result = this.round(raw, to);
+
+        return {
+            from: path[0].from,
+            to: to,
+            amount: value.toNumber(),
+            result: result.value,
+            rawResult: result.raw,
+            rounding: { mode: result.mode, precision: result.precision },
+            rate: raw.dividedBy(value, this.config.divisionScale).toNumber(),
+            triangulated: legs.length > 1,
+            path: legs
+        };
+    }
+
+    /**
+     * 🏛️ Resolve a regra de taxa fiscal da Receita para a data da operação
+     * @param {string} presetId - Preset de fiscal.presets no converter.json (padrão: fiscal.defaultPreset)
+     * @param {Date} operationDate - Data do recebimento, pagamento ou alienação (padrão: hoje)
+     * @returns {Object} preset, label, rule, ptax ('compra' ou 'venda'), quoteSide (para convertPath),
+     *   operationDate e referenceDate (YYYY-MM-DD, antes de recuar para o último dia útil com PTAX)
+     * @throws {Error} Se o preset ou a regra de data forem desconhecidos
+     */
+    getFiscalReference(presetId, operationDate = new Date()) {
+        const fiscal = this.config.fiscal;
+        const id = presetId || fiscal.defaultPreset;
+        const preset = fiscal.presets[id];
+
+        if (!preset) {
+            throw new Error(`❌ Preset fiscal desconhecido: ${id} (use ${Object.keys(fiscal.presets).join(', ')})`);
+        }
+        if (!['compra', 'venda'].includes(preset.ptax)) {
+            throw new Error(`❌ Lado da PTAX inválido no preset ${id}: ${preset.ptax} (use compra ou venda)`);
+        }
+
+        return {
+            preset: id,
+            label: preset.label,
+            rule: preset.rule,
+            ptax: preset.ptax,
+            quoteSide: preset.ptax === 'compra' ? 'bid' : 'ask',
+            operationDate: calendar.toISODate(operationDate),
+            referenceDate: calendar.toISODate(this.getFiscalDate(preset.reference, operationDate))
+        };
+    }
+
+    /**
+     * 📅 Calcula a data de referência de uma regra fiscal (a PTAX recua dela até o último dia útil publicado)
+     * @param {string} reference - 'previous-month-first-half' (dia 15 do mês anterior), 'operation-date' ou
+     *   'year-end' (31/12 do ano da operação; se ainda não chegou, 31/12 do último ano encerrado)
+     * @param {Date} date - Data da operação
+     * @param {Date} today - Data atual
+     * @returns {Date} Data de referência
+     * @private
+     */
+    getFiscalDate(reference, date, today = new Date()) {
+        switch (reference) {
+            case 'previous-month-first-half':
+                return new Date(date.getFullYear(), date.getMonth() - 1, 15);
+            case 'operation-date':
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+            case 'year-end': {
+                // 📅 Saldo de 31/12 ainda não existe no ano corrente: vale o do último ano encerrado
+                const yearEnd = new Date(date.getFullYear(), 11, 31);
+                return yearEnd > today ? new Date(today.getFullYear() - 1, 11, 31) : yearEnd;
+            }
+            default:
+                throw new Error(`❌ Regra de data fiscal desconhecida: ${reference}`);
+        }
+    }
+
+    /**
+     * 🕸️ Monta o grafo de conversão (cada par vira uma aresta em cada sentido)
+     * @param {Array<string>} pairIds - Pares com cotação disponível
+     * @returns {Map<string, Array<Object>>} Moeda → pernas que saem dela
+     * @private
+     */
+    createGraph(pairIds) {
+        const graph = new Map();
+        const addLeg = (from, to, pair, inverse) => {
+            if (!graph.has(from)) graph.set(from, []);
+            graph.get(from).push({ pair, from, to, inverse });
+        };
+
+        for (const pairId of new Set(pairIds)) {
+            const { id, base, quote } = pairs.parse(pairId);
+            addLeg(base, quote, id, false);
+            addLeg(quote, base, id, true);
+        }
+
+        return graph;
+    }
+
+    /**
+     * 🔤 Normaliza código de moeda (ex: "usd" → "USD")
+     * @param {string} currency - Código da moeda
+     * @returns {string} Código em maiúsculas
+     * @private
+     */
+    normalizeCurrency(currency) {
+        const code = String(currency || '').trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) {
+            throw new Error(`❌ Moeda inválida: ${currency}`);
+        }
+        return code;
+    }
+
+    /**
+     * 🔁 Obtém a taxa do lado correto da cotação
+     * @param {Object} exchangeData - Dados da cotação
+     * @param {string} side - 'buy' (comprar a moeda base, usa ask) ou 'sell' (vender a moeda base, usa bid)
+     * @returns {number} Taxa a usar na conversão (cai para `rate` sem bid/ask)
+     */
+    getSideRate(exchangeData, side) {
+        const sideRate = side === 'buy' ? exchangeData.ask : exchangeData.bid;
+        return sideRate || exchangeData.rate;
+    }
+
+    /**
+     * ↔️ Monta os dois lados da cotação com o spread
+     * @param {number} bid - Compra (quanto pagam pela moeda base)
+     * @param {number} ask - Venda (quanto cobram pela moeda base)
+     * @returns {Object} bid, ask, spread e spreadPercent (null se faltar um dos lados)
+     */
+    createQuoteSides(bid, ask) {
+        if (!bid || !ask || isNaN(bid) || isNaN(ask)) {
+            return { bid: null, ask: null, spread: null, spreadPercent: null };
+        }
+
+        const spread = ask - bid;
+        const mid = (ask + bid) / 2;
+
+        return {
+            bid: bid,
+            ask: ask,
+            spread: parseFloat(spread.toFixed(this.decimalPlaces)),
+            spreadPercent: parseFloat(((spread / mid) * 100).toFixed(this.decimalPlaces))
+        };
     }
 
     /**
      * 💵 Formata valor monetário
      * @param {number} amount - Valor a formatar
      * @param {string} currency - Código da moeda
+     * @param {number} fractionDigits - Casas decimais (padrão: precisão da moeda)
      * @returns {string} Valor formatado
      */
-    formatCurrency(amount, currency) {
-        const options = currency === 'BRL' ? {
-            style: 'currency',
-            currency: 'BRL',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        } : {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        };
-
-        const formatted = new Intl.NumberFormat(
-            currency === 'BRL' ? 'pt-BR' : 'en-US',
-            options
-        ).format(amount);
-
+    formatCurrency(amount, currency, fractionDigits = this.getPrecision(currency)) {
+        const formatted = this.formatCurrencyNoColor(amount, currency, fractionDigits);
         return currency === 'BRL' ? colors.brl(formatted) : colors.usd(formatted);
     }
 
@@ -62,25 +446,41 @@ class Converter {
      * 💵 Formata valor monetário SEM CORES (para logs)
      * @param {number} amount - Valor a formatar
      * @param {string} currency - Código da moeda
+     * @param {number} fractionDigits - Casas decimais (padrão: precisão da moeda)
      * @returns {string} Valor formatado sem cores
      */
-    formatCurrencyNoColor(amount, currency) {
-        const options = currency === 'BRL' ? {
+    formatCurrencyNoColor(amount, currency, fractionDigits = this.getPrecision(currency)) {
+        return new Intl.NumberFormat(pairs.getCurrency(currency).locale, {
             style: 'currency',
-            currency: 'BRL',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        } : {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        };
+            currency: currency,
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        }).format(amount);
+    }
+
+    /**
+     * 🏷️ Formata a cotação do par (ex: "€1.00 = R$ 6,12")
+     * @param {number} rate - Taxa do par
+     * @param {string} pair - Par de moedas
+     * @param {boolean} useColors - Se aplica as cores das moedas
+     * @returns {string} Cotação formatada
+     */
+    formatQuote(rate, pair = pairs.getDefault(), useColors = true) {
+        const { base, quote } = pairs.parse(pair);
+        const format = useColors ? this.formatCurrency.bind(this) : this.formatCurrencyNoColor.bind(this);
+        return `${format(1, base)} = ${format(rate, quote, this.getQuoteDigits(rate))}`;
+    }
 
-        return new Intl.NumberFormat(
-            currency === 'BRL' ? 'pt-BR' : 'en-US',
-            options
-        ).format(amount);
+    /**
+     * 🔢 Casas decimais para exibir uma taxa (moedas fracas, como ARS-BRL, precisam de mais)
+     * @param {number} rate - Taxa
+     * @returns {number} Casas decimais (2 a 6)
+     */
+    getQuoteDigits(rate) {
+        if (!rate || rate >= 1) {
+            return 2;
+        }
+        return Math.min(6, Math.max(4, 3 - Math.floor(Math.log10(rate))));
     }
 
     /**
@@ -89,20 +489,41 @@ class Converter {
      * @returns {string} Taxa formatada
      */
     formatRate(rate) {
-        return rate.toFixed(this.decimalPlaces);
+        return rate.toFixed(Math.max(this.decimalPlaces, this.getQuoteDigits(rate)));
     }
 
     /**
-     * ✅ Valida valor de entrada
+     * ✅ Valida valor de entrada (aceita "1.234,56", "US$ 50", "1,5k" e contas como "120+35,90")
      * @param {string} input - Entrada do usuário
-     * @returns {Object} Resultado da validação
+     * @param {string} currency - Moeda esperada (se o texto trouxer outra, o valor é recusado)
+     * @param {Object} options - Opções ({ allowZero: aceita zero, para tarifas e spread })
+     * @returns {Object} Resultado da validação (value em number, exact em texto decimal sem perda e currency informada)
      */
-    validateAmount(input) {
-        const value = parseFloat(input.replace(',', '.'));
+    validateAmount(input, currency = null, options = {}) {
+        let parsed;
+        try {
+            parsed = amountParser.parse(input);
+        } catch (error) {
+            return { isValid: false, value: NaN, exact: null, currency: null, error: error.message };
+        }
+
+        const expected = currency ? String(currency).trim().toUpperCase() : null;
+        let error = null;
+
+        if (options.allowZero && parsed.value.compare(0) < 0) {
+            error = '❌ Digite um valor maior ou igual a zero';
+        } else if (!options.allowZero && parsed.value.compare(0) <= 0) {
+            error = '❌ Digite um valor maior que zero';
+        } else if (expected && parsed.currency && parsed.currency !== expected) {
+            error = `❌ Valor em ${parsed.currency}, mas aqui o valor é em ${expected}`;
+        }
+
         return {
-            isValid: !isNaN(value) && value > 0,
-            value: value,
-            error: !isNaN(value) && value > 0 ? null : '❌ Digite um número válido maior que zero'
+            isValid: error === null,
+            value: error === null ? parsed.value.toNumber() : NaN,
+            exact: error === null ? parsed.value.toString() : null,
+            currency: parsed.currency,
+            error: error
         };
     }
 
@@ -115,11 +536,32 @@ class Converter {
     toJSON(exchangeData, conversion = null) {
         const baseData = {
             timestamp: new Date().toISOString(),
+            pair: exchangeData.pair || pairs.getDefault(),
             rate: exchangeData.rate,
+            bid: exchangeData.bid ?? null,
+            ask: exchangeData.ask ?? null,
+            spread: exchangeData.spread ?? null,
+            spreadPercent: exchangeData.spreadPercent ?? null,
             source: exchangeData.source,
             variation: exchangeData.variation
         };
 
+        if (exchangeData.referenceDate) {
+            baseData.referenceDate = exchangeData.referenceDate;
+        }
+
+        if (exchangeData.lastKnownGood) {
+            baseData.lastKnownGood = exchangeData.lastKnownGood;
+        }
+
+        if (exchangeData.consensus) {
+            baseData.consensus = exchangeData.consensus;
+        }
+
+        if (exchangeData.bulletins) {
+            baseData.bulletins = exchangeData.bulletins;
+        }
+
         if (conversion) {
             baseData.conversion = conversion;
         }
@@ -0,0 +1,234 @@
+const scrapingConfig = require('./config/scraping.json');
+const { colors } = require('./config/colors');
+const logger = require('./utils/logger');
+const providers = require('./providers');
+const browserPool = require('./utils/browserPool');
+const fixtures = require('./utils/fixtures');
+const sanity = require('./utils/sanity');
+const pairs = require('./pairs');
+
+/**
+ * 🩺 Diagnóstico das Fontes
+ * @class Doctor
+ * @description Verifica cada fonte configurada: alcance, HTTP, latência, seletores, taxa e validação
+ */
+class Doctor {
+    /**
+     * 🏗️ Construtor da classe Doctor
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig;
+    }
+
+    /**
+     * 🩺 Executa o diagnóstico de todas as fontes configuradas
+     * @param {string} pair - Par de moedas a diagnosticar (padrão: par configurado em pairs.json)
+     * @returns {Promise<Object>} Relatório com pair, browser, sources e ok
+     */
+    async run(pair = pairs.getDefault()) {
+        const pairId = pairs.parse(pair).id;
+        const browser = this.checkBrowser();
+        const sources = [];
+
+        // 🐢 Uma fonte por vez, para a latência de uma não afetar a outra
+        for (const source of this.config.sources) {
+            sources.push(await this.checkSource(source, browser, pairId));
+        }
+
+        await browserPool.close();
+
+        return {
+            checkedAt: new Date().toISOString(),
+            pair: pairId,
+            ok: sources.every(result => result.status !== 'broken'),
+            browser: browser,
+            sources: sources
+        };
+    }
+
+    /**
+     * 🌐 Verifica Playwright e Chromium
+     * @returns {Object} installed, chromium (caminho) e ok
+     */
+    checkBrowser() {
+        const installed = browserPool.isInstalled();
+        const chromium = installed ? browserPool.getExecutablePath() : null;
+
+        return {
+            installed: installed,
+            chromium: chromium,
+            ok: Boolean(installed && chromium)
+        };
+    }
+
+    /**
+     * 🔍 Verifica uma fonte
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} browser - Resultado de checkBrowser()
+     * @param {string} pair - Par de moedas
+     * @returns {Promise<Object>} Resultado da fonte
+     */
+    async checkSource(source, browser, pair) {
+        const result = {
+            source: source.name,
+            provider: source.provider,
+            status: 'ok',
+            reachable: null,
+            httpStatus: null,
+            latency: null,
+            selectors: [],
+            rate: null,
+            valid: null,
+            error: null
+        };
+
+        if (!source.enabled) {
+            return { ...result, status: 'skipped', error: 'Fonte desativada' };
+        }
+
+        if (!pairs.isSupported(source, pair)) {
+            return { ...result, status: 'skipped', error: `Não cota ${pair}` };
+        }
+
+        let provider;
+        try {
+            provider = providers.resolve(source);
+        } catch (error) {
+            return { ...result, status: 'broken', error: error.message };
+        }
+
+        // 📦 Playwright é opcional: sem ele, a fonte é ignorada e não quebrada
+        if (provider.capabilities.requiresBrowser && !fixtures.isReplaying() && !browser.ok) {
+            return {
+                ...result,
+                status: 'skipped',
+                error: browser.installed ? 'Chromium não baixado' : 'Playwright não instalado'
+            };
+        }
+
+        logger.debug(`Diagnosticando ${source.name}...`);
+        const context = {
+            config: this.config,
+            pair: pairs.parse(pair),
+            onResponse: response => {
+                result.httpStatus = response.status;
+            }
+        };
+        const startedAt = Date.now();
+        let raw;
+
+        try {
+            raw = fixtures.isReplaying()
+                ? fixtures.load(source, pair)
+                : await provider.fetch(source, context);
+            result.reachable = true;
+        } catch (error) {
+            result.latency = Date.now() - startedAt;
+            // 📡 Com status HTTP a fonte respondeu; sem ele, não foi alcançada
+            result.reachable = result.httpStatus !== null;
+            return { ...result, status: 'broken', error: error.message };
+        }
+
+        result.latency = Date.now() - startedAt;
+        result.selectors = provider.inspect(raw, source, context);
+
+        try {
+            const exchangeData = provider.parse(raw, source, context);
+            const providerValidation = provider.validate(exchangeData, source);
+            const validation = providerValidation.isValid
+                ? sanity.check(exchangeData, pair)
+                : providerValidation;
+            result.rate = exchangeData.rate;
+            result.valid = validation.isValid;
+            if (!validation.isValid) {
+                result.error = validation.error;
+            }
+        } catch (error) {
+            result.valid = false;
+            result.error = error.message;
+        }
+
+        if (!result.valid) {
+            result.status = 'broken';
+        } else if (result.selectors.some(check => !check.matched)) {
+            // ⚠️ A taxa saiu, mas algum seletor sumiu (variação pode vir zerada)
+            result.status = 'degraded';
+        }
+
+        return result;
+    }
+
+    /**
+     * 📊 Formata relatório como tabela para o terminal
+     * @param {Object} report - Relatório de run()
+     * @returns {string} Tabela formatada
+     */
+    toTable(report) {
+        const header = [
+            'Fonte'.padEnd(24),
+            'Status'.padEnd(10),
+            'HTTP'.padStart(5),
+            'Latência'.padStart(10),
+            'Seletores'.padStart(11),
+            'Taxa'.padStart(8)
+        ].join(' ');
+
+        const statusConfig = {
+            ok: { label: '✔ ok', color: colors.success },
+            degraded: { label: '⚠ parcial', color: colors.warning },
+            broken: { label: '✗ falhou', color: colors.danger },
+            skipped: { label: '- ignorada', color: colors.muted }
+        };
+
+        const lines = [];
+        for (const result of report.sources) {
+            const status = statusConfig[result.status];
+            const matched = result.selectors.filter(check => check.matched).length;
+
+            lines.push([
+                colors.text(result.source.padEnd(24)),
+                status.color(status.label.padEnd(10)),
+                colors.text(String(result.httpStatus ?? '-').padStart(5)),
+                colors.text((result.latency !== null ? `${result.latency}ms` : '-').padStart(10)),
+                colors.text((result.selectors.length > 0 ? `${matched}/${result.selectors.length}` : '-').padStart(11)),
+                colors.rate((result.rate !== null ? result.rate.toFixed(4) : '-').padStart(8))
+            ].join(' '));
+
+            for (const check of result.selectors.filter(item => !item.matched)) {
+                lines.push(colors.warning(`    ↳ seletor ${check.name} (${check.selector}) não encontrado`));
+            }
+            if (result.error) {
+                lines.push(colors.muted(`    ↳ ${result.error}`));
+            }
+        }
+
+        const browser = report.browser;
+        const browserLine = browser.ok
+            ? colors.success(`🌐 Playwright + Chromium: ${browser.chromium}`)
+            : colors.warning(`🌐 ${browser.installed ? 'Playwright instalado, Chromium não baixado (npx playwright install chromium)' : 'Playwright não instalado (opcional)'}`);
+
+        return [
+            colors.title(`🌍 Par: ${pairs.label(report.pair)}`),
+            colors.title(header),
+            colors.muted('─'.repeat(header.length)),
+            ...lines,
+            colors.muted('─'.repeat(header.length)),
+            browserLine,
+            report.ok
+                ? colors.success('✅ Todas as fontes ativas funcionando')
+                : colors.danger('❌ Há fontes quebradas')
+        ].join('\n');
+    }
+
+    /**
+     * 📄 Formata relatório como JSON
+     * @param {Object} report - Relatório de run()
+     * @returns {string} JSON indentado
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+}
+
+module.exports = new Doctor();
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const converter = require('./converter');
+const scraper = require('./scraper');
+const history = require('./history');
+const calendar = require('./calendar');
+const pairs = require('./pairs');
+const csv = require('./utils/csv');
+const Decimal = require('./utils/decimal');
+const logger = require('./utils/logger');
+
+/**
+ * 📂 Conversão de Arquivos em Lote
+ * @class FileConverter
+ * @description Converte uma coluna de valores de arquivos CSV ou JSON lines, com a cotação atual ou a PTAX de cada data
+ */
+class FileConverter {
+    /**
+     * 📂 Converte os valores de uma coluna do arquivo
+     * @param {string} filePath - Arquivo .csv ou .jsonl/.ndjson/.json (um objeto JSON por linha)
+     * @param {Object} options - Opções da conversão
+     * @param {string} options.column - Coluna com os valores
+     * @param {string} options.from - Moeda dos valores (padrão: base do par atual)
+     * @param {string} options.to - Moeda de destino (padrão: cotada do par atual)
+     * @param {string} options.dateColumn - Coluna de data: cada linha usa a PTAX do dia (opcional)
+     * @returns {Promise<Object>} format, delimiter, columns, rows (com as colunas novas), converted e failed
+     */
+    async convertFile(filePath, options = {}) {
+        return this.convertTable(this.read(filePath), options);
+    }
+
+    /**
+     * 📥 Lê o arquivo pelo formato da extensão
+     * @param {string} filePath - Caminho do arquivo
+     * @returns {Object} format (csv ou jsonl), delimiter, columns e rows
+     * @throws {Error} Se o arquivo não existir ou for inválido
+     */
+    read(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`❌ Arquivo não encontrado: ${filePath}`);
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        if (['.json', '.jsonl', '.ndjson'].includes(path.extname(filePath).toLowerCase())) {
+            return { format: 'jsonl', delimiter: null, ...this.parseJsonLines(content) };
+        }
+
+        return { format: 'csv', ...csv.parse(content) };
+    }
+
+    /**
+     * 🔄 Converte as linhas já lidas
+     * @param {Object} table - Resultado de read()
+     * @param {Object} options - column, from, to e dateColumn (veja convertFile)
+     * @returns {Promise<Object>} Tabela com as colunas novas, converted e failed
+     */
+    async convertTable(table, options = {}) {
+        const { column, dateColumn } = options;
+        const currentPair = pairs.parse(scraper.pair);
+        const from = String(options.from || currentPair.base).trim().toUpperCase();
+        const to = String(options.to || currentPair.quote).trim().toUpperCase();
+
+        if (!column) {
+            throw new Error('❌ Informe a coluna dos valores (--column)');
+        }
+        if (from === to) {
+            throw new Error(`❌ Moedas de origem e destino iguais (${from})`);
+        }
+
+        for (const name of [column, dateColumn].filter(Boolean)) {
+            if (!table.columns.includes(name)) {
+                throw new Error(`❌ Coluna "${name}" não existe no arquivo (colunas: ${table.columns.join(', ')})`);
+            }
+        }
+
+        const added = this.getAddedColumns(column, to, dateColumn);
+        const existing = added.filter(name => table.columns.includes(name));
+        if (existing.length > 0) {
+            throw new Error(`❌ O arquivo já tem as colunas ${existing.join(', ')}`);
+        }
+
+        const conversionPath = converter.findPath(from, to, [scraper.pair, ...pairs.list()]);
+        const dates = table.rows.map(row => this.getRowDate(row, dateColumn));
+        logger.info(`Convertendo ${table.rows.length} linhas de ${from} para ${to}...`);
+
+        // 📡 Linhas sem data usam a cotação atual; as datadas, a PTAX do dia (uma consulta por par)
+        const liveQuotes = dates.some(date => date === null)
+            ? await scraper.getQuotes(conversionPath.map(leg => leg.pair))
+            : null;
+        const ptax = await this.getPtaxRates(conversionPath, dates.filter(date => typeof date === 'string'));
+
+        let failed = 0;
+        const rows = table.rows.map((row, index) => {
+            try {
+                if (dates[index] instanceof Error) {
+                    throw dates[index];
+                }
+                const quotes = dates[index] === null
+                    ? liveQuotes
+                    : this.getPtaxQuotes(conversionPath, ptax, dates[index]);
+                return {
+                    ...row,
+                    ...this.convertRow(row, { column, from, to, dateColumn, conversionPath, quotes, numeric: table.format === 'jsonl' })
+                };
+            } catch (error) {
+                failed++;
+                const empty = Object.fromEntries(added.map(name => [name, '']));
+                return { ...row, ...empty, error: error.message.replace(/^❌\s*/, '') };
+            }
+        });
+
+        return {
+            format: table.format,
+            delimiter: table.delimiter,
+            columns: [...table.columns, ...added],
+            rows: rows,
+            converted: rows.length - failed,
+            failed: failed
+        };
+    }
+
+    /**
+     * 📄 Gera o conteúdo de saída no mesmo formato da entrada
+     * @param {Object} result - Resultado de convertFile()
+     * @returns {string} CSV ou JSON lines
+     */
+    format(result) {
+        if (result.format === 'jsonl') {
+            return result.rows.map(row => JSON.stringify(row)).join('\n');
+        }
+        return csv.stringify(result.columns, result.rows, result.delimiter);
+    }
+
+    /**
+     * 💱 Converte o valor de uma linha
+     * @param {Object} row - Linha
+     * @param {Object} options - column, from, to, dateColumn (adiciona rate_date), conversionPath (pernas de
+     *   converter.findPath()), quotes (par → cotação) e numeric (valor como number, para JSON; senão texto com as casas da moeda)
+     * @returns {Object} Colunas novas da linha
+     * @private
+     */
+    convertRow(row, options) {
+        const { column, from, to, dateColumn, conversionPath, quotes } = options;
+        const validation = this.validateValue(row[column], from);
+        if (!validation.isValid) {
+            throw new Error(validation.error);
+        }
+
+        const conversion = converter.convertPath(validation.exact, conversionPath, quotes);
+        const fields = {
+            [this.getValueColumn(column, to)]: options.numeric ? conversion.result : converter.round(conversion.rawResult, to).rounded,
+            rate: conversion.rate,
+            rate_source: [...new Set(conversion.path.map(leg => leg.source))].join(' + '),
+            rate_timestamp: conversion.path.map(leg => leg.timestamp).sort()[0]
+        };
+
+        if (dateColumn) {
+            // 📅 Linha datada mostra o dia da PTAX usada; sem data, o dia da cotação atual
+            fields.rate_date = conversion.path[0].referenceDate
+                || (fields.rate_timestamp ? calendar.toISODate(new Date(fields.rate_timestamp)) : '');
+        }
+
+        return { ...fields, error: '' };
+    }
+
+    /**
+     * ✅ Valida o valor da linha (número JSON é lido direto: não tem separador de milhar para ser ambíguo)
+     * @param {string|number} value - Valor da coluna
+     * @param {string} from - Moeda dos valores
+     * @returns {Object} isValid, exact (texto decimal exato) e error, como em converter.validateAmount()
+     * @private
+     */
+    validateValue(value, from) {
+        if (typeof value !== 'number') {
+            return converter.validateAmount(String(value ?? ''), from);
+        }
+
+        try {
+            const exact = Decimal.from(value);
+            if (exact.compare(0) <= 0) {
+                return { isValid: false, exact: null, error: '❌ Digite um valor maior que zero' };
+            }
+            return { isValid: true, exact: exact.toString(), error: null };
+        } catch (error) {
+            return { isValid: false, exact: null, error: error.message };
+        }
+    }
+
+    /**
+     * 🏛️ Busca a PTAX das datas para cada par do caminho
+     * @param {Array<Object>} conversionPath - Pernas de converter.findPath()
+     * @param {Array<string>} dates - Datas ISO das linhas
+     * @returns {Promise<Object>} Par → (data ISO → dados da cotação)
+     * @private
+     */
+    async getPtaxRates(conversionPath, dates) {
+        const rates = {};
+        if (dates.length === 0) {
+            return rates;
+        }
+
+        for (const leg of conversionPath) {
+            const { base, quote } = pairs.parse(leg.pair);
+            if (quote !== 'BRL') {
+                throw new Error(`❌ PTAX só existe contra o real; ${leg.pair} não tem cotação por data`);
+            }
+            logger.info(`Buscando PTAX de ${base} para ${new Set(dates).size} datas...`);
+            rates[leg.pair] = await history.getRatesOn(dates, base);
+        }
+
+        return rates;
+    }
+
+    /**
+     * 📅 Monta as cotações do caminho na data da linha
+     * @param {Array<Object>} conversionPath - Pernas de converter.findPath()
+     * @param {Object} ptax - Resultado de getPtaxRates()
+     * @param {string} date - Data ISO da linha
+     * @returns {Object} Par → dados da cotação
+     * @private
+     */
+    getPtaxQuotes(conversionPath, ptax, date) {
+        return Object.fromEntries(conversionPath.map(leg => {
+            const exchangeData = ptax[leg.pair].get(date);
+            if (!exchangeData) {
+                throw new Error(`❌ Sem PTAX de ${leg.pair} até ${date}`);
+            }
+            return [leg.pair, exchangeData];
+        }));
+    }
+
+    /**
+     * 📅 Lê a data da linha
+     * @param {Object} row - Linha
+     * @param {string} dateColumn - Coluna de data
+     * @returns {string|null|Error} Data ISO, null (sem data: cotação atual) ou o erro da data inválida
+     * @private
+     */
+    getRowDate(row, dateColumn) {
+        const text = dateColumn ? String(row[dateColumn] ?? '').trim() : '';
+        if (!text) {
+            return null;
+        }
+
+        try {
+            // 🕐 Aceita data com horário (ex: 2026-10-01T10:30:00)
+            const date = text.match(/^\d{4}-\d{2}-\d{2}(?=[T ])/) ? text.slice(0, 10) : text;
+            return calendar.toISODate(history.parseDate(date));
+        } catch (error) {
+            return error;
+        }
+    }
+
+    /**
+     * 🏷️ Colunas adicionadas ao arquivo
+     * @param {string} column - Coluna do valor
+     * @param {string} to - Moeda de destino
+     * @param {string} dateColumn - Coluna de data
+     * @returns {Array<string>} Nomes das colunas
+     * @private
+     */
+    getAddedColumns(column, to, dateColumn) {
+        return [
+            this.getValueColumn(column, to),
+            'rate',
+            'rate_source',
+            'rate_timestamp',
+            ...(dateColumn ? ['rate_date'] : []),
+            'error'
+        ];
+    }
+
+    /**
+     * 🏷️ Nome da coluna do valor convertido (ex: amount_brl)
+     * @param {string} column - Coluna do valor
+     * @param {string} to - Moeda de destino
+     * @returns {string} Nome da coluna
+     * @private
+     */
+    getValueColumn(column, to) {
+        return `${column}_${to.toLowerCase()}`;
+    }
+
+    /**
+     * 🔄 Interpreta JSON lines (um objeto por linha)
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {Object} columns (chaves de todas as linhas) e rows
+     * @private
+     */
+    parseJsonLines(content) {
+        const rows = [];
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+
+            let row;
+            try {
+                row = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`❌ JSON inválido na linha ${index + 1}: ${error.message}`);
+            }
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                throw new Error(`❌ A linha ${index + 1} não é um objeto JSON`);
+            }
+            rows.push(row);
+        });
+
+        return { columns: [...new Set(rows.flatMap(row => Object.keys(row)))], rows };
+    }
+}
+
+module.exports = new FileConverter();
@@ -0,0 +1,457 @@
+const scrapingConfig = require('./config/scraping.json');
+const { colors } = require('./config/colors');
+const logger = require('./utils/logger');
+const http = require('./utils/http');
+const fixtures = require('./utils/fixtures');
+const calendar = require('./calendar');
+const converter = require('./converter');
+const pairs = require('./pairs');
+
+/**
+ * 📜 Histórico de Cotações PTAX
+ * @class History
+ * @description Consulta cotações PTAX diárias por período e boletins intradiários na API Olinda do Banco Central
+ */
+class History {
+    /**
+     * 🏗️ Construtor da classe History
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.history;
+        this.userAgent = scrapingConfig.userAgent;
+    }
+
+    /**
+     * 📅 Obtém cotações PTAX diárias de um período
+     * @param {string|Date} from - Data inicial (YYYY-MM-DD, DD/MM/YYYY ou Date)
+     * @param {string|Date} to - Data final (padrão: hoje)
+     * @param {string} currency - Moeda cotada contra o real (padrão: USD)
+     * @returns {Promise<Array<Object>>} Cotações com date, buy, sell e timestamp
+     */
+    async getRange(from, to = new Date(), currency = this.config.currency) {
+        const startDate = this.parseDate(from);
+        const endDate = this.parseDate(to);
+
+        if (startDate > endDate) {
+            throw new Error('❌ Data inicial maior que a data final');
+        }
+
+        const days = Math.round((endDate - startDate) / 86400000);
+        if (days > this.config.maxDays) {
+            throw new Error(`❌ Período máximo de ${this.config.maxDays} dias`);
+        }
+
+        // 🏛️ Dólar tem endpoint próprio; as demais moedas vêm com todos os boletins do dia
+        const apiUrl = currency === 'USD'
+            ? `${this.config.url}?@dataInicial='${this.toApiDate(startDate)}'` +
+                `&@dataFinalCotacao='${this.toApiDate(endDate)}'&$format=json` +
+                '&$select=cotacaoCompra,cotacaoVenda,dataHoraCotacao'
+            : `${this.config.currencyUrl}?@moeda='${currency}'&@dataInicial='${this.toApiDate(startDate)}'` +
+                `&@dataFinalCotacao='${this.toApiDate(endDate)}'&$format=json` +
+                '&$select=cotacaoCompra,cotacaoVenda,dataHoraCotacao,tipoBoletim';
+        logger.debug(`Acessando API BC (período): ${apiUrl}`);
+
+        const key = `${currency}-BRL_${calendar.toISODate(startDate)}_${calendar.toISODate(endDate)}`;
+        const data = await this.fetchJson(apiUrl, { name: 'PTAX Período' }, key);
+        return this.parseRange(data);
+    }
+
+    /**
+     * 💱 Obtém a moeda da PTAX de um par (a PTAX só existe contra o real)
+     * @param {string} pairId - Par de moedas (ex: EUR-BRL)
+     * @returns {string} Moeda base do par
+     * @throws {Error} Se o par não for contra o real
+     */
+    getCurrency(pairId) {
+        const { id, base, quote } = pairs.parse(pairId);
+        if (quote !== 'BRL') {
+            throw new Error(`❌ PTAX só existe contra o real; ${id} não tem histórico`);
+        }
+        return base;
+    }
+
+    /**
+     * 🔄 Converte resposta da API em cotações diárias
+     * @param {Object} data - Resposta JSON da API
+     * @returns {Array<Object>} Cotações ordenadas por data
+     */
+    parseRange(data) {
+        return (data.value || [])
+            // 🏛️ Só o boletim de fechamento é a PTAX do dia (o endpoint do dólar já vem só com ele)
+            .filter(item => !item.tipoBoletim || item.tipoBoletim === 'Fechamento')
+            .map(item => ({
+                date: item.dataHoraCotacao.slice(0, 10),
+                buy: item.cotacaoCompra,
+                sell: item.cotacaoVenda,
+                timestamp: item.dataHoraCotacao
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * 📆 Obtém a PTAX de cada data, recuando até o último dia útil com cotação publicada
+     * @param {Array<string|Date>} dates - Datas (YYYY-MM-DD, DD/MM/YYYY ou Date)
+     * @param {string} currency - Moeda cotada contra o real (padrão: USD)
+     * @returns {Promise<Map<string, Object>>} Data ISO pedida → dados da cotação (referenceDate é a data usada)
+     */
+    async getRatesOn(dates, currency = this.config.currency) {
+        const days = [...new Set(dates.map(date => calendar.toISODate(this.parseDate(date))))]
+            .sort()
+            .map(isoDate => calendar.fromISODate(isoDate));
+        const today = calendar.toISODate(new Date());
+        const results = new Map();
+
+        if (days.length === 0) {
+            return results;
+        }
+
+        // 📅 Uma consulta só, do dia útil mais antigo que pode servir até a última data (no máximo hoje)
+        const oldest = calendar.getPtaxCandidates(days[0]).pop();
+        const newest = calendar.toISODate(days[days.length - 1]) > today ? new Date() : days[days.length - 1];
+        const rates = await this.getRange(oldest, newest, currency);
+
+        for (const day of days) {
+            const isoDate = calendar.toISODate(day);
+            const limit = calendar.toISODate(calendar.getPtaxCandidates(day).pop());
+            const rate = rates.filter(item => item.date <= isoDate && item.date >= limit).pop();
+            if (rate) {
+                results.set(isoDate, this.toExchangeData(rate, currency));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * 🏛️ Obtém a PTAX de uma data para cada par, recuando até o último dia útil com PTAX publicada
+     * @param {Array<string>} pairIds - Pares contra o real (ex: USD-BRL)
+     * @param {string|Date} date - Data (YYYY-MM-DD, DD/MM/YYYY ou Date)
+     * @returns {Promise<Object>} Par → dados da cotação (referenceDate é a data usada; requestedDate, a pedida)
+     * @throws {Error} Se a data for futura, o par não for contra o real ou não houver PTAX nos últimos dias úteis
+     */
+    async getQuotesOn(pairIds, date) {
+        const requestedDate = calendar.toISODate(this.parseDate(date));
+        if (requestedDate > calendar.toISODate(new Date())) {
+            throw new Error(`❌ Data no futuro: ${this.formatDisplayDate(requestedDate)}`);
+        }
+
+        const quotes = {};
+        for (const pairId of new Set(pairIds)) {
+            const { base, quote } = pairs.parse(pairId);
+            if (quote !== 'BRL') {
+                throw new Error(`❌ PTAX só existe contra o real; ${pairId} não tem cotação por data`);
+            }
+
+            const exchangeData = (await this.getRatesOn([requestedDate], base)).get(requestedDate);
+            if (!exchangeData) {
+                throw new Error(`❌ Sem PTAX de ${base} até ${this.formatDisplayDate(requestedDate)}`);
+            }
+            quotes[pairId] = { ...exchangeData, requestedDate };
+        }
+
+        return quotes;
+    }
+
+    /**
+     * 📼 Consulta a API Olinda (ou a fixture gravada, no modo offline)
+     * @param {string} apiUrl - URL da consulta
+     * @param {Object} source - Fonte da fixture (name)
+     * @param {string} key - Chave da consulta na fixture (ex: USD-BRL_2026-03-01_2026-03-31)
+     * @returns {Promise<Object>} JSON da resposta
+     * @private
+     */
+    async fetchJson(apiUrl, source, key) {
+        if (fixtures.isReplaying()) {
+            return fixtures.load(source, key);
+        }
+
+        // 🛑 Registra a consulta nas operações do scraper: o Ctrl+C cancela a requisição (o scraper já requer este módulo)
+        const scraper = require('./scraper');
+        const signal = scraper.beginOperation();
+
+        try {
+            const response = await http.fetch(apiUrl, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'application/json'
+                }
+            }, { timeout: this.config.timeout, signal });
+
+            if (!response.ok) {
+                throw new Error(`❌ HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (fixtures.isRecording()) {
+                fixtures.save(source, { id: 'history' }, data, key);
+            }
+            return data;
+        } finally {
+            scraper.endOperation();
+        }
+    }
+
+    /**
+     * 📊 Monta dados da cotação a partir de uma PTAX diária
+     * @param {Object} rate - Cotação de getRange() (date, buy, sell e timestamp)
+     * @param {string} currency - Moeda cotada contra o real
+     * @returns {Object} Dados da cotação (rate é a venda; bid e ask são compra e venda)
+     */
+    toExchangeData(rate, currency = this.config.currency) {
+        return {
+            pair: `${currency}-BRL`,
+            rate: rate.sell,
+            ...converter.createQuoteSides(rate.buy, rate.sell),
+            source: 'PTAX Fechamento (BCB)',
+            timestamp: rate.timestamp,
+            referenceDate: rate.date
+        };
+    }
+
+    /**
+     * 🕐 Obtém os boletins PTAX do dia (abertura, intermediários e fechamento)
+     * @param {string|Date} date - Data (padrão: último dia útil com boletins publicados)
+     * @param {string} currency - Moeda cotada contra o real (padrão: USD)
+     * @returns {Promise<Object>} Dados da cotação com bloco `bulletins`
+     */
+    async getBulletins(date, currency = this.config.currency) {
+        if (date) {
+            const day = this.parseDate(date);
+            const bulletins = await this.fetchBulletins(day, currency);
+
+            if (bulletins.length === 0) {
+                const holiday = calendar.getHolidayName(day);
+                throw new Error(`❌ Nenhum boletim PTAX em ${this.formatDisplayDate(calendar.toISODate(day))}` +
+                    (holiday ? ` (feriado: ${holiday})` : ''));
+            }
+
+            return this.toBulletinRate(bulletins, currency);
+        }
+
+        // 📅 Sem data, recua pelos dias úteis até achar boletins publicados
+        for (const day of calendar.getPtaxCandidates()) {
+            const bulletins = await this.fetchBulletins(day, currency);
+            if (bulletins.length > 0) {
+                return this.toBulletinRate(bulletins, currency);
+            }
+            logger.debug(`Sem boletins PTAX em ${calendar.toISODate(day)}, recuando...`);
+        }
+
+        throw new Error('❌ Nenhum boletim PTAX publicado nos últimos dias úteis');
+    }
+
+    /**
+     * 🌐 Consulta os boletins PTAX de um dia na API Olinda
+     * @param {Date} date - Data
+     * @param {string} currency - Moeda cotada contra o real
+     * @returns {Promise<Array<Object>>} Boletins do dia
+     * @private
+     */
+    async fetchBulletins(date, currency) {
+        const apiUrl = `${this.config.bulletinsUrl}?@moeda='${currency}'` +
+            `&@dataCotacao='${this.toApiDate(date)}'&$format=json` +
+            '&$select=cotacaoCompra,cotacaoVenda,dataHoraCotacao,tipoBoletim';
+        logger.debug(`Acessando API BC (boletins): ${apiUrl}`);
+
+        const key = `${currency}-BRL_${calendar.toISODate(date)}`;
+        const data = await this.fetchJson(apiUrl, { name: 'PTAX Boletins' }, key);
+        return this.parseBulletins(data);
+    }
+
+    /**
+     * 🔄 Converte resposta da API em boletins rotulados por tipo
+     * @param {Object} data - Resposta JSON da API
+     * @returns {Array<Object>} Boletins ordenados por horário
+     */
+    parseBulletins(data) {
+        const bulletins = (data.value || [])
+            .map(item => ({
+                type: this.getBulletinType(item.tipoBoletim),
+                label: item.tipoBoletim,
+                time: item.dataHoraCotacao.slice(11, 16),
+                buy: item.cotacaoCompra,
+                sell: item.cotacaoVenda,
+                timestamp: item.dataHoraCotacao,
+                official: false
+            }))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        // 🔢 Numera os intermediários (Intermediário 1, 2, 3...)
+        let intermediate = 0;
+        for (const bulletin of bulletins) {
+            if (bulletin.type === 'intermediate') {
+                bulletin.label = `${bulletin.label} ${++intermediate}`;
+            }
+        }
+
+        // 🏛️ A PTAX de fechamento é a taxa oficial do dia
+        const closing = bulletins.find(bulletin => bulletin.type === 'closing');
+        if (closing) {
+            closing.official = true;
+        }
+
+        return bulletins;
+    }
+
+    /**
+     * 📊 Monta dados da cotação a partir dos boletins do dia
+     * @param {Array<Object>} bulletins - Boletins ordenados por horário
+     * @param {string} currency - Moeda cotada contra o real
+     * @returns {Object} Dados da cotação (fechamento ou último boletim)
+     */
+    toBulletinRate(bulletins, currency = this.config.currency) {
+        const official = bulletins.find(bulletin => bulletin.official);
+        const current = official || bulletins[bulletins.length - 1];
+        const opening = bulletins[0];
+
+        // 📈 Variação intradiária: da abertura até o boletim atual
+        const change = current.sell - opening.sell;
+        const percent = opening.sell ? (change / opening.sell) * 100 : 0;
+
+        logger.success(`${bulletins.length} boletins PTAX de ${current.timestamp.slice(0, 10)}`);
+
+        return {
+            pair: `${currency}-BRL`,
+            rate: current.sell,
+            ...converter.createQuoteSides(current.buy, current.sell),
+            variation: {
+                percent: `${Math.abs(percent).toFixed(4)}%`,
+                value: change.toFixed(4),
+                direction: change > 0 ? 'up' : (change < 0 ? 'down' : 'stable'),
+                timestamp: new Date().toLocaleString('pt-BR')
+            },
+            source: official ? 'PTAX Fechamento (BCB)' : `PTAX ${current.label} (BCB)`,
+            timestamp: new Date().toISOString(),
+            referenceDate: current.timestamp.slice(0, 10),
+            bulletins: bulletins
+        };
+    }
+
+    /**
+     * 🏷️ Identifica o tipo do boletim
+     * @param {string} tipoBoletim - Tipo informado pela API (Abertura, Intermediário, Fechamento...)
+     * @returns {string} Tipo (opening/intermediate/closing)
+     * @private
+     */
+    getBulletinType(tipoBoletim) {
+        const text = String(tipoBoletim || '').toLowerCase();
+        if (text.startsWith('abertura')) return 'opening';
+        if (text.startsWith('fechamento')) return 'closing';
+        return 'intermediate';
+    }
+
+    /**
+     * 📊 Formata cotações como tabela para o terminal
+     * @param {Array<Object>} rates - Cotações diárias
+     * @param {string} currency - Moeda das cotações (padrão: USD)
+     * @returns {string} Tabela formatada
+     */
+    toTable(rates, currency = this.config.currency) {
+        if (rates.length === 0) {
+            return colors.warning(`📭 Nenhuma cotação PTAX de ${currency} no período`);
+        }
+
+        const header = `${'Data'.padEnd(12)}${'Compra'.padStart(10)}${'Venda'.padStart(10)}`;
+        const lines = rates.map(rate => [
+            colors.text(this.formatDisplayDate(rate.date).padEnd(12)),
+            colors.rate(rate.buy.toFixed(4).padStart(10)),
+            colors.rate(rate.sell.toFixed(4).padStart(10))
+        ].join(''));
+
+        return [
+            colors.title(header),
+            colors.muted('─'.repeat(header.length)),
+            ...lines,
+            colors.muted('─'.repeat(header.length)),
+            colors.muted(`📜 ${rates.length} cotações PTAX de ${currency} • Banco Central`)
+        ].join('\n');
+    }
+
+    /**
+     * 📄 Formata cotações como CSV
+     * @param {Array<Object>} rates - Cotações diárias
+     * @returns {string} CSV com cabeçalho
+     */
+    toCSV(rates) {
+        return [
+            'date,buy,sell,timestamp',
+            ...rates.map(rate => `${rate.date},${rate.buy},${rate.sell},${rate.timestamp}`)
+        ].join('\n');
+    }
+
+    /**
+     * 📄 Formata cotações como JSON
+     * @param {Array<Object>} rates - Cotações diárias
+     * @returns {string} JSON indentado
+     */
+    toJSON(rates) {
+        return JSON.stringify(rates, null, 2);
+    }
+
+    /**
+     * 📅 Interpreta data de entrada
+     * @param {string|Date} input - Data (YYYY-MM-DD, DD/MM/YYYY ou Date)
+     * @returns {Date} Data no horário local (meia-noite)
+     */
+    parseDate(input) {
+        if (input instanceof Date) {
+            return new Date(input.getFullYear(), input.getMonth(), input.getDate());
+        }
+
+        const text = String(input || '').trim();
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) {
+            return this.createDate(match[1], match[2], match[3], text);
+        }
+
+        match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        if (match) {
+            return this.createDate(match[3], match[2], match[1], text);
+        }
+
+        throw new Error(`❌ Data inválida: "${text}" (use AAAA-MM-DD ou DD/MM/AAAA)`);
+    }
+
+    /**
+     * 📅 Cria data validando dia e mês
+     * @param {string} year - Ano
+     * @param {string} month - Mês (1-12)
+     * @param {string} day - Dia
+     * @param {string} text - Texto original (para mensagem de erro)
+     * @returns {Date} Data criada
+     * @private
+     */
+    createDate(year, month, day, text) {
+        const date = new Date(Number(year), Number(month) - 1, Number(day));
+        if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+            throw new Error(`❌ Data inválida: "${text}"`);
+        }
+        return date;
+    }
+
+    /**
+     * 🔗 Formata data para a API Olinda (MM-DD-YYYY)
+     * @param {Date} date - Data
+     * @returns {string} Data formatada
+     * @private
+     */
+    toApiDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${month}-${day}-${date.getFullYear()}`;
+    }
+
+    /**
+     * 🇧🇷 Formata data ISO para exibição (DD/MM/YYYY)
+     * @param {string} isoDate - Data YYYY-MM-DD
+     * @returns {string} Data formatada
+     * @private
+     */
+    formatDisplayDate(isoDate) {
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    }
+}
+
+module.exports = new History();
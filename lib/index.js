@@ -1,6 +1,17 @@
 const ui = require('./ui');
 const packageInfo = require('./utils/packageInfo');
 const logger = require('./utils/logger');
+const providers = require('./providers');
+const history = require('./history');
+const scraper = require('./scraper');
+const converter = require('./converter');
+const calculator = require('./calculator');
+const fileConverter = require('./fileConverter');
+const browserPool = require('./utils/browserPool');
+const calendar = require('./calendar');
+const doctor = require('./doctor');
+const fixtures = require('./utils/fixtures');
+const BaseProvider = require('./providers/baseProvider');
 
 /**
  * 🚀 Classe Principal RAVC
@@ -20,22 +31,83 @@ class RAVC {
     /**
      * 🎯 Inicia a aplicação
      * @param {Array} args - Argumentos da CLI
+     * @param {Object} options - Opções (flags) da CLI
      * @returns {Promise<void>}
      */
-    async start(args = []) {
+    async start(args = [], options = {}) {
         if (this.isRunning) {
             logger.warn('Aplicação já está em execução');
             return;
         }
 
+        // 🤫 Saída para máquinas (JSON/CSV) não recebe logs no stdout
+        const fileToStdout = args[0] === 'convert-file' && !options.output;
+        if (options.json || options.format === 'json' || options.format === 'csv' || fileToStdout) {
+            logger.setQuiet(true);
+        }
+
+        // 📼 --replay dir reproduz respostas gravadas; --record dir grava as respostas reais
+        if (options.replay) {
+            fixtures.setMode('replay', options.replay === true ? null : options.replay);
+        } else if (options.record) {
+            fixtures.setMode('record', options.record === true ? null : options.record);
+        }
+
+        // 🌍 --pair EUR-BRL troca o par de moedas (padrão em pairs.json)
+        if (options.pair) {
+            try {
+                scraper.setPair(options.pair);
+            } catch (error) {
+                logger.error(`Opção --pair inválida: ${error.message}`);
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        // 🎯 --rounding half-up troca o arredondamento das conversões (padrão em converter.json)
+        if (options.rounding) {
+            try {
+                converter.setRoundingMode(options.rounding);
+            } catch (error) {
+                logger.error(`Opção --rounding inválida: ${error.message}`);
+                process.exitCode = 1;
+                return;
+            }
+        }
+
+        // 🔗 --sources awesome,bacen substitui a ordem configurada
+        if (options.sources) {
+            try {
+                scraper.setPreferredSources(options.sources);
+            } catch (error) {
+                logger.error(`Opção --sources inválida: ${error.message}`);
+                process.exitCode = 1;
+                return;
+            }
+        }
+
         this.isRunning = true;
         logger.start(`Iniciando ${this.appInfo.name} v${this.appInfo.version}`);
 
+        if (fixtures.isReplaying()) {
+            logger.info(`Modo offline: reproduzindo respostas de ${fixtures.directory}`);
+        } else if (fixtures.isRecording()) {
+            logger.info(`Gravando respostas em ${fixtures.directory}`);
+        }
+
         try {
             // 🔧 Processa argumentos de linha de comando
-            await ui.start(args);
+            await ui.start(args, options);
 
         } catch (error) {
+            // 🚫 Sem cotação confiável: recusa responder em vez de tentar recuperar
+            if (error.code === 'ENOQUOTE') {
+                logger.error(`Cotação indisponível: ${error.message}`);
+                this.isRunning = false;
+                await browserPool.close();
+                process.exit(3);
+            }
+
             logger.error('Erro crítico na aplicação:', error);
             await this.handleCriticalError(error);
         }
@@ -66,6 +138,129 @@ class RAVC {
         logger.ex(`${this.appInfo.name} encerrado`);
     }
 
+    /**
+     * 📜 Obtém histórico de cotações PTAX por período
+     * @param {string|Date} from - Data inicial (YYYY-MM-DD, DD/MM/YYYY ou Date)
+     * @param {string|Date} to - Data final (padrão: hoje)
+     * @param {string} pair - Par contra o real (padrão: par atual)
+     * @returns {Promise<Array<Object>>} Cotações com date, buy, sell e timestamp
+     */
+    getHistory(from, to, pair = scraper.pair) {
+        return history.getRange(from, to, history.getCurrency(pair));
+    }
+
+    /**
+     * 🕐 Obtém os boletins PTAX do dia (abertura, intermediários e fechamento)
+     * @param {string|Date} date - Data (padrão: último dia útil com boletins publicados)
+     * @param {string} pair - Par contra o real (padrão: par atual)
+     * @returns {Promise<Object>} Cotação oficial (fechamento) com a lista de boletins
+     */
+    getBulletins(date, pair = scraper.pair) {
+        return history.getBulletins(date, history.getCurrency(pair));
+    }
+
+    /**
+     * 📊 Consulta todas as fontes em paralelo e retorna a mediana
+     * @returns {Promise<Object>} Cotação com cotações por fonte, latência e spread
+     */
+    getConsensusRate() {
+        return scraper.getConsensusRate();
+    }
+
+    /**
+     * 🕸️ Converte entre duas moedas, triangulando pelos pares configurados se não houver cotação direta
+     * @param {number|string} amount - Valor a converter (texto decimal evita perda de precisão)
+     * @param {string} from - Moeda de origem (ex: EUR)
+     * @param {string} to - Moeda de destino (ex: USD)
+     * @param {Object} options - Opções (date: usa a PTAX da data, recuando até o último dia útil; fiscal: preset
+     *   da Receita, como carne-leao, e date vira a data da operação)
+     * @returns {Promise<Object>} Resultado com result, rawResult, rate efetiva e path (par, taxa, fonte e data de cada perna);
+     *   com fiscal, inclui o bloco fiscal com a regra, a data de referência e a data da PTAX usada
+     */
+    async convert(amount, from, to, options = {}) {
+        if (options.fiscal) {
+            const operationDate = options.date ? history.parseDate(options.date) : new Date();
+            const { quoteSide, ...fiscal } = converter.getFiscalReference(options.fiscal === true ? null : options.fiscal, operationDate);
+            const { path, quotes } = await scraper.getConversionQuotes(from, to, fiscal.referenceDate);
+            const conversion = converter.convertPath(amount, path, quotes, { quoteSide });
+            return { ...conversion, fiscal: { ...fiscal, usedDate: conversion.path[0].referenceDate } };
+        }
+
+        const { path, quotes } = await scraper.getConversionQuotes(from, to, options.date || null);
+        return converter.convertPath(amount, path, quotes);
+    }
+
+    /**
+     * 🧮 Calcula uma expressão com moedas misturadas, porcentagens e variáveis da cotação atual
+     * @param {string} expression - Expressão (ex: "100 USD + 250 BRL in USD", "1500 USD - 10%", "100 * taxa")
+     * @returns {Promise<Object>} Resultado com result, rawResult, currency e as taxas usadas
+     */
+    calc(expression) {
+        return calculator.calculate(expression);
+    }
+
+    /**
+     * 📂 Converte uma coluna de um arquivo CSV ou JSON lines
+     * @param {string} filePath - Arquivo de entrada
+     * @param {Object} options - column, from, to e dateColumn (cada linha usa a PTAX do dia)
+     * @returns {Promise<Object>} Linhas com o valor convertido, rate, rate_source e rate_timestamp (use formatFile para gravar)
+     */
+    convertFile(filePath, options) {
+        return fileConverter.convertFile(filePath, options);
+    }
+
+    /**
+     * 📄 Gera o CSV ou JSON lines de um resultado de convertFile()
+     * @param {Object} result - Resultado de convertFile()
+     * @returns {string} Conteúdo no formato do arquivo de entrada
+     */
+    formatFile(result) {
+        return fileConverter.format(result);
+    }
+
+    /**
+     * 🩺 Diagnostica todas as fontes configuradas
+     * @param {string} pair - Par de moedas (padrão: par atual)
+     * @returns {Promise<Object>} Relatório com alcance, HTTP, latência, seletores, taxa e validação por fonte
+     */
+    runDoctor(pair = scraper.pair) {
+        return doctor.run(pair);
+    }
+
+    /**
+     * 🌍 Define o par de moedas das próximas cotações
+     * @param {string} pair - Par no formato BASE-QUOTE (ex: EUR-BRL)
+     * @returns {string} Par normalizado
+     */
+    setPair(pair) {
+        return scraper.setPair(pair);
+    }
+
+    /**
+     * 🧩 Registra provedor de cotação customizado
+     * @param {Object} provider - Provedor com id, fetch(), parse() e opcionalmente validate()/capabilities
+     * @returns {Object} Registro de provedores
+     */
+    registerProvider(provider) {
+        return providers.register(provider);
+    }
+
+    /**
+     * 📅 Calendário de dias úteis e feriados (BCB)
+     * @returns {Object} Instância do calendário
+     */
+    get calendar() {
+        return calendar;
+    }
+
+    /**
+     * 🧩 Classe base para provedores customizados
+     * @returns {Function} Classe BaseProvider
+     */
+    get BaseProvider() {
+        return BaseProvider;
+    }
+
     /**
      * ℹ️ Obtém informações da aplicação
      * @returns {Object} Informações do app
@@ -80,15 +275,22 @@ const ravc = new RAVC();
 
 // 🛡️ Manipuladores de processo
 process.on('SIGINT', () => {
+    // 🛑 Com busca em andamento, o primeiro Ctrl+C apenas cancela a busca
+    if (scraper.cancel()) {
+        logger.warn('Busca cancelada (Ctrl+C novamente para sair)');
+        return;
+    }
+
     logger.stop('Encerrando via Ctrl+C...');
     ravc.stop();
-    process.exit(0);
+    // 🌐 Fecha o navegador antes de sair
+    browserPool.close().finally(() => process.exit(0));
 });
 
 process.on('SIGTERM', () => {
     logger.stop('Encerrando via SIGTERM...');
     ravc.stop();
-    process.exit(0);
+    browserPool.close().finally(() => process.exit(0));
 });
 
 process.on('uncaughtException', (error) => {
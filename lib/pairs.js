@@ -0,0 +1,101 @@
+const pairsConfig = require('./config/pairs.json');
+
+/**
+ * 🌍 Pares de Moedas
+ * @class CurrencyPairs
+ * @description Interpreta pares no formato BASE-QUOTE (ex: EUR-BRL) e verifica quais fontes os suportam
+ */
+class CurrencyPairs {
+    /**
+     * 🏗️ Construtor da classe CurrencyPairs
+     * @constructor
+     */
+    constructor() {
+        this.config = pairsConfig;
+    }
+
+    /**
+     * 🔤 Interpreta um par (aceita "eur-brl", "EUR/BRL" ou "EURBRL")
+     * @param {string|Object} pair - Par de moedas ou objeto já interpretado
+     * @returns {Object} id (EUR-BRL), base (EUR) e quote (BRL)
+     */
+    parse(pair) {
+        if (pair && typeof pair === 'object') {
+            return pair;
+        }
+
+        const value = String(pair || '').trim().toUpperCase();
+        const match = value.match(/^([A-Z]{3})[-/]?([A-Z]{3})$/);
+
+        if (!match || match[1] === match[2]) {
+            throw new Error(`❌ Par de moedas inválido: ${pair} (use o formato BASE-QUOTE, ex: EUR-BRL)`);
+        }
+
+        return {
+            id: `${match[1]}-${match[2]}`,
+            base: match[1],
+            quote: match[2]
+        };
+    }
+
+    /**
+     * ⭐ Obtém o par padrão
+     * @returns {string} Par padrão (ex: USD-BRL)
+     */
+    getDefault() {
+        return this.config.default;
+    }
+
+    /**
+     * 📋 Lista os pares configurados (usados no seletor do menu)
+     * @returns {Array<string>} Pares configurados
+     */
+    list() {
+        return this.config.pairs;
+    }
+
+    /**
+     * 💱 Obtém nome e locale de uma moeda
+     * @param {string} code - Código ISO da moeda (ex: EUR)
+     * @returns {Object} name e locale (moedas desconhecidas usam o próprio código e pt-BR)
+     */
+    getCurrency(code) {
+        return this.config.currencies[code] || { name: code, locale: 'pt-BR' };
+    }
+
+    /**
+     * ✅ Verifica se a fonte suporta o par
+     * @param {Object} source - Configuração da fonte (campo `pairs`: "*" ou lista de pares)
+     * @param {string} pair - Par de moedas
+     * @returns {boolean} Se a fonte cota o par
+     */
+    isSupported(source, pair) {
+        const id = this.parse(pair).id;
+        // 🧩 Fontes sem `pairs` declarado são tratadas como só do par padrão
+        const supported = source.pairs || [this.config.default];
+        return supported === '*' || supported.includes(id);
+    }
+
+    /**
+     * 🔗 Preenche {base} e {quote} em uma URL da fonte
+     * @param {string} template - URL com marcadores
+     * @param {string|Object} pair - Par de moedas
+     * @returns {string} URL do par
+     */
+    formatUrl(template, pair) {
+        const { base, quote } = this.parse(pair);
+        return template.replace(/\{base\}/g, base).replace(/\{quote\}/g, quote);
+    }
+
+    /**
+     * 🏷️ Rótulo do par para exibição (ex: EUR/BRL)
+     * @param {string|Object} pair - Par de moedas
+     * @returns {string} Rótulo
+     */
+    label(pair) {
+        const { base, quote } = this.parse(pair);
+        return `${base}/${quote}`;
+    }
+}
+
+module.exports = new CurrencyPairs();
@@ -0,0 +1,107 @@
+const BaseProvider = require('./baseProvider');
+const logger = require('../utils/logger');
+
+/**
+ * 🌐 Provedor AwesomeAPI (JSON público)
+ * @class AwesomeApiProvider
+ * @extends BaseProvider
+ * @description Consulta a última cotação e variação na AwesomeAPI
+ */
+class AwesomeApiProvider extends BaseProvider {
+    /**
+     * 🏗️ Construtor da classe AwesomeApiProvider
+     * @constructor
+     */
+    constructor() {
+        super('awesome-api', {
+            variation: true
+        });
+    }
+
+    /**
+     * 🌐 Consulta a API Awesome
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper
+     * @returns {Promise<Object>} Resposta JSON da API
+     */
+    async fetch(source, context) {
+        const url = this.getUrl(source, context);
+        logger.debug(`Acessando API Awesome: ${url}`);
+
+        const response = await this.request(url, {
+            headers: {
+                'User-Agent': 'RAVC-CLI/1.0.0',
+                'Accept': 'application/json'
+            }
+        }, source, context);
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * 🔄 Extrai taxa, compra/venda e variação do par (chave BASEQUOTE, ex: EURBRL)
+     * @param {Object} raw - Resposta JSON da API
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (usa `pair`)
+     * @returns {Object} Dados da cotação
+     */
+    parse(raw, source, context) {
+        const key = this.getKey(context);
+        const quote = raw[key];
+        if (!quote) {
+            throw new Error(`❌ Par ${key} ausente na resposta da API Awesome`);
+        }
+
+        const rate = parseFloat(quote.bid);
+
+        logger.debug(`Taxa API Awesome: ${rate}`);
+
+        // Calcula variação baseada no pctChange
+        const pctChange = parseFloat(quote.pctChange);
+        const variationValue = parseFloat(quote.varBid);
+        const direction = pctChange >= 0 ? 'up' : (pctChange < 0 ? 'down' : 'stable');
+
+        return this.createExchangeData(rate, {
+            percent: `${Math.abs(pctChange).toFixed(4)}%`,
+            value: variationValue.toFixed(4),
+            direction: direction
+        }, source, {
+            bid: rate,
+            ask: parseFloat(quote.ask)
+        });
+    }
+
+    /**
+     * 🩺 Verifica os campos usados do par
+     * @param {Object} raw - Resposta JSON da API
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (usa `pair`)
+     * @returns {Array<Object>} Verificações dos campos
+     */
+    inspect(raw, source, context) {
+        const key = this.getKey(context);
+        return this.inspectFields(raw, {
+            bid: `${key}.bid`,
+            ask: `${key}.ask`,
+            pctChange: `${key}.pctChange`,
+            varBid: `${key}.varBid`
+        });
+    }
+
+    /**
+     * 🔑 Chave do par na resposta (ex: USDBRL)
+     * @param {Object} context - Contexto do scraper
+     * @returns {string} Chave
+     * @private
+     */
+    getKey(context) {
+        const { base, quote } = this.getPair(context);
+        return `${base}${quote}`;
+    }
+}
+
+module.exports = new AwesomeApiProvider();
@@ -0,0 +1,119 @@
+const BaseProvider = require('./baseProvider');
+const logger = require('../utils/logger');
+const calendar = require('../calendar');
+
+/**
+ * 🏛️ Provedor Banco Central (PTAX via API Olinda)
+ * @class BancoCentralProvider
+ * @extends BaseProvider
+ * @description Consulta a cotação PTAX (dólar ou outra moeda contra o real) do último dia útil publicado
+ */
+class BancoCentralProvider extends BaseProvider {
+    /**
+     * 🏗️ Construtor da classe BancoCentralProvider
+     * @constructor
+     */
+    constructor() {
+        super('banco-central');
+    }
+
+    /**
+     * 🌐 Consulta a API do BC no último dia útil, recuando até achar PTAX publicada
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper
+     * @returns {Promise<Object>} Resposta JSON da API
+     */
+    async fetch(source, context) {
+        const pair = this.getPair(context);
+        const headers = {
+            'User-Agent': context.config.userAgent,
+            'Accept': 'application/json'
+        };
+
+        // 📅 Pula fins de semana e feriados; recua se a PTAX do dia ainda não saiu
+        for (const date of calendar.getPtaxCandidates()) {
+            const apiUrl = this.buildUrl(source, date, pair);
+            logger.debug(`Acessando API BC: ${apiUrl}`);
+
+            const response = await this.request(apiUrl, { headers }, source, context);
+
+            if (!response.ok) {
+                throw new Error(`❌ HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            // 🏛️ Demais moedas vêm com todos os boletins do dia; só o de fechamento é a PTAX
+            if (pair.base !== 'USD' && data.value) {
+                data.value = data.value.filter(item => item.tipoBoletim === 'Fechamento');
+            }
+
+            if (data.value && data.value.length > 0) {
+                return data;
+            }
+
+            logger.debug(`Sem PTAX em ${calendar.toISODate(date)}, recuando...`);
+        }
+
+        throw new Error('❌ Nenhuma PTAX publicada nos últimos dias úteis');
+    }
+
+    /**
+     * 🔄 Extrai a cotação de venda (e a de compra) do primeiro registro
+     * @param {Object} raw - Resposta JSON da API
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper
+     * @returns {Object} Dados da cotação
+     */
+    parse(raw, source, context) {
+        const cotacao = raw.value[0];
+        const rate = cotacao.cotacaoVenda;
+        logger.debug(`Taxa API BC: ${rate}`);
+
+        const exchangeData = this.createExchangeData(rate, {}, source, {
+            bid: cotacao.cotacaoCompra,
+            ask: cotacao.cotacaoVenda
+        });
+        if (cotacao.dataHoraCotacao) {
+            exchangeData.referenceDate = cotacao.dataHoraCotacao.slice(0, 10);
+        }
+        return exchangeData;
+    }
+
+    /**
+     * 🩺 Verifica os campos usados da PTAX
+     * @param {Object} raw - Resposta JSON da API
+     * @param {Object} source - Configuração da fonte
+     * @returns {Array<Object>} Verificações dos campos
+     */
+    inspect(raw, source) {
+        return this.inspectFields(raw, {
+            cotacaoVenda: 'value.0.cotacaoVenda',
+            cotacaoCompra: 'value.0.cotacaoCompra',
+            dataHoraCotacao: 'value.0.dataHoraCotacao'
+        });
+    }
+
+    /**
+     * 🔗 Monta URL da API para uma data (dólar em `url`, demais moedas em `currencyUrl`)
+     * @param {Object} source - Configuração da fonte
+     * @param {Date} date - Data da cotação
+     * @param {Object} pair - Par de moedas
+     * @returns {string} URL completa
+     * @private
+     */
+    buildUrl(source, date, pair) {
+        const dateStr = date.toLocaleDateString('en-US', {
+            month: '2-digit',
+            day: '2-digit',
+            year: 'numeric'
+        }).replace(/\//g, '-');
+
+        if (pair.base !== 'USD') {
+            return `${source.currencyUrl}?@moeda='${pair.base}'&@dataCotacao='${dateStr}'&$format=json`;
+        }
+
+        return `${source.url}?@dataCotacao='${dateStr}'&$top=1&$format=json`;
+    }
+}
+
+module.exports = new BancoCentralProvider();
@@ -0,0 +1,208 @@
+const http = require('../utils/http');
+const converter = require('../converter');
+const pairs = require('../pairs');
+const amountParser = require('../utils/amountParser');
+
+/**
+ * 🧩 Provedor Base de Cotações
+ * @class BaseProvider
+ * @description Define a interface comum (fetch, parse, validate, capabilities) de todas as fontes
+ */
+class BaseProvider {
+    /**
+     * 🏗️ Construtor da classe BaseProvider
+     * @constructor
+     * @param {string} id - Identificador único do provedor (referenciado em scraping.json)
+     * @param {Object} capabilities - Recursos suportados pelo provedor
+     */
+    constructor(id, capabilities = {}) {
+        this.id = id;
+        this.capabilities = {
+            requiresBrowser: false,
+            variation: false,
+            ...capabilities
+        };
+    }
+
+    /**
+     * 🌐 Obtém dados brutos da fonte
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (config global e `pair`: { id, base, quote })
+     * @returns {Promise<any>} Resposta bruta da fonte
+     */
+    async fetch(source, context) {
+        throw new Error(`❌ Provedor ${this.id} não implementa fetch()`);
+    }
+
+    /**
+     * 🔄 Converte resposta bruta em dados de cotação
+     * @param {any} raw - Resposta bruta retornada por fetch()
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (usa `pair`)
+     * @returns {Object} Dados da cotação
+     */
+    parse(raw, source, context) {
+        throw new Error(`❌ Provedor ${this.id} não implementa parse()`);
+    }
+
+    /**
+     * ✅ Valida dados de cotação
+     * @param {Object} exchangeData - Dados da cotação
+     * @param {Object} source - Configuração da fonte
+     * @returns {Object} Resultado da validação
+     */
+    validate(exchangeData, source) {
+        const isValid = this.isValidRate(exchangeData && exchangeData.rate);
+        return {
+            isValid: isValid,
+            error: isValid ? null : `❌ Taxa inválida: ${exchangeData && exchangeData.rate}`
+        };
+    }
+
+    /**
+     * 🩺 Verifica quais seletores (ou campos JSON) da fonte existem na resposta bruta
+     * @param {any} raw - Resposta bruta retornada por fetch()
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (usa `pair`)
+     * @returns {Array<Object>} Verificações com name, selector e matched
+     */
+    inspect(raw, source, context) {
+        return [];
+    }
+
+    /**
+     * 🔗 Obtém a URL da fonte para o par do contexto ({base} e {quote} em `source.url`)
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (usa `pair`; sem ele, o par padrão)
+     * @returns {string} URL do par
+     * @protected
+     */
+    getUrl(source, context = {}) {
+        return pairs.formatUrl(source.url, this.getPair(context));
+    }
+
+    /**
+     * 🌍 Obtém o par do contexto
+     * @param {Object} context - Contexto do scraper
+     * @returns {Object} id, base e quote do par (padrão: par configurado em pairs.json)
+     * @protected
+     */
+    getPair(context = {}) {
+        return pairs.parse(context.pair || pairs.getDefault());
+    }
+
+    /**
+     * 📡 Requisição HTTP com o timeout da fonte e o sinal de cancelamento do scraper
+     * @param {string} url - URL da requisição
+     * @param {Object} options - Opções do fetch
+     * @param {Object} source - Configuração da fonte (usa `timeout`)
+     * @param {Object} context - Contexto do scraper (usa `signal` e, se houver, `onResponse`)
+     * @returns {Promise<Response>} Resposta do fetch
+     * @protected
+     */
+    async request(url, options, source, context) {
+        const response = await http.fetch(url, options, {
+            timeout: source.timeout,
+            signal: context.signal
+        });
+
+        if (context.onResponse) {
+            context.onResponse({ status: response.status, ok: response.ok });
+        }
+
+        return response;
+    }
+
+    /**
+     * 🔍 Verifica campos de uma resposta JSON (ex: USDBRL.bid, value.0.cotacaoVenda)
+     * @param {Object} raw - Resposta JSON
+     * @param {Object} fields - Nome → caminho do campo
+     * @returns {Array<Object>} Verificações com name, selector e matched
+     * @protected
+     */
+    inspectFields(raw, fields) {
+        return Object.entries(fields).map(([name, fieldPath]) => {
+            const value = fieldPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), raw);
+            return {
+                name: name,
+                selector: fieldPath,
+                matched: value !== undefined && value !== null && value !== ''
+            };
+        });
+    }
+
+    /**
+     * ✅ Valida taxa obtida (limites por par ficam em `sanity` no scraping.json)
+     * @param {number} rate - Taxa a validar
+     * @returns {boolean} Se a taxa é um número positivo
+     * @protected
+     */
+    isValidRate(rate) {
+        return Boolean(rate && !isNaN(rate) && rate > 0);
+    }
+
+    /**
+     * 🔄 Parseia texto da taxa
+     * @param {string} rateText - Texto da taxa
+     * @returns {number} Taxa parseada
+     * @protected
+     */
+    parseRate(rateText) {
+        const number = String(rateText ?? '').match(/\d[\d.,]*/);
+
+        if (number) {
+            // 🔢 Separador único é decimal: cotação "5.423" não é "cinco mil"; com dois, o último é o decimal
+            const separators = number[0].match(/[.,]/g) || [];
+            const decimal = separators.length === 1 ? separators[0] : null;
+
+            try {
+                const rate = amountParser.parse(number[0], { decimal }).value.toNumber();
+                if (this.isValidRate(rate)) {
+                    return rate;
+                }
+            } catch (error) {
+                // ❌ Cai no erro com o texto original
+            }
+        }
+
+        throw new Error(`❌ Não foi possível parsear: ${rateText}`);
+    }
+
+    /**
+     * 📦 Monta objeto de cotação no formato padrão
+     * @param {number} rate - Taxa obtida
+     * @param {Object} variation - Dados de variação (campos ausentes usam padrão estável)
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} sides - Lados da cotação ({ bid, ask }), se a fonte informar
+     * @returns {Object} Dados da cotação
+     * @protected
+     */
+    createExchangeData(rate, variation, source, sides = {}) {
+        return {
+            rate: rate,
+            ...converter.createQuoteSides(sides.bid, sides.ask),
+            variation: {
+                ...this.createStableVariation(),
+                ...variation
+            },
+            source: source.name,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * ⚪ Cria variação estável padrão
+     * @returns {Object} Dados de variação
+     * @protected
+     */
+    createStableVariation() {
+        return {
+            percent: '0.00%',
+            value: '0.0000',
+            direction: 'stable',
+            timestamp: new Date().toLocaleString('pt-BR')
+        };
+    }
+}
+
+module.exports = BaseProvider;
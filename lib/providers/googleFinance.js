@@ -0,0 +1,120 @@
+const BaseProvider = require('./baseProvider');
+const logger = require('../utils/logger');
+const browserPool = require('../utils/browserPool');
+const http = require('../utils/http');
+const googleFinanceHttp = require('./googleFinanceHttp');
+
+/**
+ * 🔍 Provedor Google Finance (web scraping via Playwright)
+ * @class GoogleFinanceProvider
+ * @extends BaseProvider
+ * @description Renderiza a página de cotação do Google Finance e lê preço e variação do HTML
+ */
+class GoogleFinanceProvider extends BaseProvider {
+    /**
+     * 🏗️ Construtor da classe GoogleFinanceProvider
+     * @constructor
+     */
+    constructor() {
+        super('google-finance', {
+            requiresBrowser: true,
+            variation: true
+        });
+    }
+
+    /**
+     * 🌐 Abre (ou recarrega) a página no Chromium e obtém o HTML renderizado
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper
+     * @returns {Promise<string>} HTML da página (gravado como está nas fixtures)
+     */
+    async fetch(source, context) {
+        if (context.signal && context.signal.aborted) {
+            throw http.createCancelError();
+        }
+
+        return await browserPool.withPage(context.config.browser, async page => {
+            page.setDefaultTimeout(source.timeout);
+
+            // 🛑 Cancelamento fecha o navegador, interrompendo a navegação em curso
+            const onAbort = () => browserPool.close();
+            if (context.signal) {
+                context.signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            try {
+                return await this.readPage(page, source, context);
+            } catch (error) {
+                if (context.signal && context.signal.aborted) {
+                    throw http.createCancelError();
+                }
+                throw error;
+            } finally {
+                if (context.signal) {
+                    context.signal.removeEventListener('abort', onAbort);
+                }
+            }
+        });
+    }
+
+    /**
+     * 📄 Navega até a cotação e espera o preço aparecer
+     * @param {Object} page - Página do Playwright
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper (usa `pair` e, se houver, `onResponse`)
+     * @returns {Promise<string>} HTML renderizado
+     * @private
+     */
+    async readPage(page, source, context) {
+        const url = this.getUrl(source, context);
+        let response;
+
+        // ♨️ Página já aquecida na mesma URL: recarrega em vez de navegar
+        if (page.url() === url) {
+            logger.debug(`Recarregando: ${url}`);
+            response = await page.reload({
+                waitUntil: 'domcontentloaded',
+                timeout: source.timeout
+            });
+        } else {
+            logger.debug(`Acessando: ${url}`);
+            response = await page.goto(url, {
+                waitUntil: 'domcontentloaded',
+                timeout: source.timeout
+            });
+        }
+
+        if (response && context.onResponse) {
+            context.onResponse({ status: response.status(), ok: response.ok() });
+        }
+
+        await page.waitForSelector(source.selectors.price, { timeout: 10000 });
+        logger.debug('Elemento do preço carregado (Google)');
+
+        await page.waitForTimeout(2000);
+
+        return await page.content();
+    }
+
+    /**
+     * 🩺 Verifica o container principal e os seletores configurados no HTML renderizado
+     * @param {string} html - HTML da página
+     * @param {Object} source - Configuração da fonte
+     * @returns {Array<Object>} Verificações dos seletores
+     */
+    inspect(html, source) {
+        return googleFinanceHttp.inspect(html, source);
+    }
+
+    /**
+     * 🔄 Extrai preço e variação do HTML renderizado (mesmo leitor do provedor HTTP)
+     * @param {string} html - HTML da página
+     * @param {Object} source - Configuração da fonte
+     * @returns {Object} Dados da cotação
+     */
+    parse(html, source) {
+        return googleFinanceHttp.parse(html, source);
+    }
+}
+
+module.exports = new GoogleFinanceProvider();
@@ -0,0 +1,251 @@
+const BaseProvider = require('./baseProvider');
+const logger = require('../utils/logger');
+
+/**
+ * 🪶 Provedor Google Finance via HTTP (sem Playwright)
+ * @class GoogleFinanceHttpProvider
+ * @extends BaseProvider
+ * @description Baixa o HTML da página de cotação e extrai preço e variação da marcação
+ */
+class GoogleFinanceHttpProvider extends BaseProvider {
+    /**
+     * 🏗️ Construtor da classe GoogleFinanceHttpProvider
+     * @constructor
+     */
+    constructor() {
+        super('google-finance-http', {
+            variation: true
+        });
+    }
+
+    /**
+     * 🌐 Baixa o HTML da página de cotação
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} context - Contexto do scraper
+     * @returns {Promise<string>} HTML da página
+     */
+    async fetch(source, context) {
+        const url = this.getUrl(source, context);
+        logger.debug(`Acessando (HTTP): ${url}`);
+
+        const response = await this.request(url, {
+            headers: {
+                'User-Agent': context.config.userAgent,
+                'Accept': 'text/html',
+                'Accept-Language': 'en-US,en;q=0.9'
+            }
+        }, source, context);
+
+        if (!response.ok) {
+            throw new Error(`❌ HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return await response.text();
+    }
+
+    /**
+     * 🔄 Extrai preço e variação do HTML
+     * @param {string} html - HTML da página
+     * @param {Object} source - Configuração da fonte
+     * @returns {Object} Dados da cotação
+     */
+    parse(html, source) {
+        const main = this.getMainSection(html) || html;
+
+        const rate = this.extractRate(html, main, source);
+        logger.debug(`Taxa Google (HTTP): ${rate}`);
+
+        const variation = {};
+
+        const percentText = this.extractText(main, source.selectors.changePercent);
+        if (percentText) {
+            variation.percent = percentText.replace(/[+−-]/g, '').replace(',', '.');
+        }
+
+        const valueText = this.extractText(main, source.selectors.changeValue);
+        const valueMatch = valueText && valueText.match(/[-−+]?\d+[,.]?\d*/);
+        if (valueMatch) {
+            variation.value = valueMatch[0].replace('−', '-').replace('+', '').replace(',', '.');
+        }
+
+        variation.direction = this.determineDirection(main, variation);
+
+        return this.createExchangeData(rate, variation, source);
+    }
+
+    /**
+     * 🩺 Verifica o container principal e os seletores configurados no HTML
+     * @param {string} html - HTML da página
+     * @param {Object} source - Configuração da fonte
+     * @returns {Array<Object>} Verificações dos seletores
+     */
+    inspect(html, source) {
+        const section = this.getMainSection(html);
+        const main = section || html;
+
+        return [
+            { name: 'container', selector: '.rPF6Lc', matched: section !== null },
+            ...Object.entries(source.selectors).map(([name, selector]) => ({
+                name: name,
+                selector: selector,
+                matched: this.hasElement(main, selector)
+            }))
+        ];
+    }
+
+    /**
+     * 💰 Extrai a taxa pelo seletor de preço ou pelo atributo data-last-price
+     * @param {string} html - HTML completo
+     * @param {string} main - HTML a partir do container principal
+     * @param {Object} source - Configuração da fonte
+     * @returns {number} Taxa
+     * @private
+     */
+    extractRate(html, main, source) {
+        const priceText = this.extractText(main, source.selectors.price);
+        if (priceText) {
+            logger.debug(`Texto do preço (HTTP): "${priceText}"`);
+            return this.parseRate(priceText);
+        }
+
+        // 📦 Dado embutido usado pelo próprio Google Finance
+        const embedded = html.match(/data-last-price="([\d.]+)"/);
+        if (embedded) {
+            logger.debug(`data-last-price: "${embedded[1]}"`);
+            return parseFloat(embedded[1]);
+        }
+
+        throw new Error('❌ Preço não encontrado no HTML');
+    }
+
+    /**
+     * 🎯 Obtém o HTML a partir do container principal (a cotação vem antes das listas de "relacionados")
+     * @param {string} html - HTML completo
+     * @returns {string|null} HTML a partir do container ou null se ele não existir
+     * @private
+     */
+    getMainSection(html) {
+        const containerIndex = html.search(/class="[^"]*\brPF6Lc\b/);
+        return containerIndex >= 0 ? html.slice(containerIndex) : null;
+    }
+
+    /**
+     * 🔍 Obtém texto do primeiro elemento com as classes do seletor (ex: .YMlKec.fxKbKc)
+     * @param {string} html - HTML a pesquisar
+     * @param {string} selector - Seletor de classes
+     * @returns {string|null} Texto sem tags
+     * @private
+     */
+    extractText(html, selector) {
+        if (!selector) return null;
+
+        const classes = selector.split('.').filter(Boolean);
+        const lookaheads = classes.map(name => `(?=[^"]*\\b${name}\\b)`).join('');
+        const pattern = new RegExp(`<(\\w+)[^>]*class="${lookaheads}[^"]*"[^>]*>([\\s\\S]*?)</\\1>`);
+
+        const match = html.match(pattern);
+        if (!match) return null;
+
+        const text = this.decodeEntities(match[2].replace(/<[^>]+>/g, '')).trim();
+        return text || null;
+    }
+
+    /**
+     * 🔎 Verifica se há elemento para o seletor (classes e tag, com descendentes: ".NMm5M path")
+     * @param {string} html - HTML a pesquisar
+     * @param {string} selector - Seletor (ex: .YMlKec.fxKbKc, .NMm5M path)
+     * @returns {boolean} Se o elemento existe (mesmo sem texto, como o ícone da direção)
+     * @private
+     */
+    hasElement(html, selector) {
+        if (!selector) return false;
+
+        let scope = html;
+        for (const part of selector.trim().split(/\s+/)) {
+            const [tag, ...classes] = part.split('.');
+            const lookaheads = classes.filter(Boolean).map(name => `(?=[^"]*\\b${name}\\b)`).join('');
+            const classPattern = lookaheads ? `[^>]*class="${lookaheads}[^"]*"` : '';
+            const pattern = new RegExp(`<(${tag || '\\w+'})\\b${classPattern}[^>]*>`, 'i');
+
+            const match = scope.match(pattern);
+            if (!match) return false;
+
+            // 🌳 O próximo seletor é procurado só dentro deste elemento
+            scope = this.getElementContent(scope.slice(match.index + match[0].length), match[1], match[0].endsWith('/>'));
+        }
+
+        return true;
+    }
+
+    /**
+     * 📦 Obtém o conteúdo de um elemento até a tag de fechamento do mesmo nível
+     * @param {string} html - HTML logo depois da tag de abertura
+     * @param {string} tag - Nome da tag
+     * @param {boolean} selfClosing - Se a tag de abertura já fecha o elemento (ex: <path ... />)
+     * @returns {string} Conteúdo do elemento
+     * @private
+     */
+    getElementContent(html, tag, selfClosing) {
+        if (selfClosing) return '';
+
+        const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+        let depth = 1;
+        let match;
+
+        while ((match = pattern.exec(html)) !== null) {
+            if (match[1]) {
+                depth--;
+            } else if (!match[0].endsWith('/>')) {
+                depth++;
+            }
+            if (depth === 0) {
+                return html.slice(0, match.index);
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * 🎯 Determina direção pelo valor ou pelo aria-label
+     * @param {string} main - HTML a partir do container principal
+     * @param {Object} variation - Variação extraída
+     * @returns {string} Direção (up/down/stable)
+     * @private
+     */
+    determineDirection(main, variation) {
+        if (variation.value && parseFloat(variation.value) !== 0) {
+            return variation.value.startsWith('-') ? 'down' : 'up';
+        }
+
+        const ariaLabel = main.match(/jsname="Fe7oBc"[^>]*aria-label="([^"]*)"/) ||
+            main.match(/aria-label="([^"]*)"[^>]*jsname="Fe7oBc"/);
+
+        if (ariaLabel) {
+            const label = ariaLabel[1];
+            if (label.includes('Diminuiu') || label.includes('down') || label.includes('fall')) {
+                return 'down';
+            } else if (label.includes('Aumentou') || label.includes('up') || label.includes('rise')) {
+                return 'up';
+            }
+        }
+
+        return 'stable';
+    }
+
+    /**
+     * 🔤 Decodifica entidades HTML comuns
+     * @param {string} text - Texto com entidades
+     * @returns {string} Texto decodificado
+     * @private
+     */
+    decodeEntities(text) {
+        return text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)));
+    }
+}
+
+module.exports = new GoogleFinanceHttpProvider();
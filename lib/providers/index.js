@@ -0,0 +1,121 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * 🧩 Registro de Provedores de Cotação
+ * @class ProviderRegistry
+ * @description Mapeia o campo `provider` das fontes em scraping.json para módulos de provedor
+ */
+class ProviderRegistry {
+    /**
+     * 🏗️ Construtor da classe ProviderRegistry
+     * @constructor
+     */
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * ➕ Registra um provedor
+     * @param {Object} provider - Instância com id, fetch() e parse()
+     * @returns {ProviderRegistry} O próprio registro (encadeável)
+     */
+    register(provider) {
+        if (!provider || typeof provider.id !== 'string' || !provider.id) {
+            throw new Error('❌ Provedor precisa de um id');
+        }
+
+        if (typeof provider.fetch !== 'function' || typeof provider.parse !== 'function') {
+            throw new Error(`❌ Provedor ${provider.id} precisa implementar fetch() e parse()`);
+        }
+
+        if (this.providers.has(provider.id)) {
+            logger.debug(`Substituindo provedor registrado: ${provider.id}`);
+        }
+
+        this.providers.set(provider.id, provider);
+        return this;
+    }
+
+    /**
+     * ➖ Remove um provedor
+     * @param {string} id - Id do provedor
+     * @returns {boolean} Se o provedor existia
+     */
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    /**
+     * 🔍 Verifica se há provedor com o id
+     * @param {string} id - Id do provedor
+     * @returns {boolean} Se está registrado
+     */
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    /**
+     * 🔍 Obtém provedor por id
+     * @param {string} id - Id do provedor
+     * @returns {Object|null} Provedor ou null
+     */
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * 📋 Lista ids registrados
+     * @returns {Array<string>} Ids dos provedores
+     */
+    list() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * 🎯 Resolve o provedor de uma fonte configurada
+     * @param {Object} source - Configuração da fonte (campos `provider` e opcional `module`)
+     * @returns {Object} Provedor
+     */
+    resolve(source) {
+        if (source.module && !this.has(source.provider)) {
+            this.loadModule(source);
+        }
+
+        const provider = this.get(source.provider);
+        if (!provider) {
+            throw new Error(`❌ Provedor não registrado: ${source.provider} (${source.name})`);
+        }
+
+        return provider;
+    }
+
+    /**
+     * 📦 Carrega provedor externo declarado em `module` (caminho relativo ao diretório atual)
+     * @param {Object} source - Configuração da fonte
+     * @private
+     */
+    loadModule(source) {
+        const modulePath = path.resolve(process.cwd(), source.module);
+        logger.debug(`Carregando provedor externo: ${modulePath}`);
+
+        const exported = require(modulePath);
+        const provider = typeof exported === 'function' ? new exported() : exported;
+
+        if (!provider.id) {
+            provider.id = source.provider;
+        }
+
+        this.register(provider);
+    }
+}
+
+// 🌍 Instância global com os provedores embutidos
+const registry = new ProviderRegistry();
+registry
+    .register(require('./googleFinance'))
+    .register(require('./googleFinanceHttp'))
+    .register(require('./bancoCentral'))
+    .register(require('./awesomeApi'));
+
+module.exports = registry;
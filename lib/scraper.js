@@ -1,5 +1,16 @@
 const scrapingConfig = require('./config/scraping.json');
 const logger = require('./utils/logger');
+const providers = require('./providers');
+const rateCache = require('./utils/cache');
+const browserPool = require('./utils/browserPool');
+const circuitBreaker = require('./utils/circuitBreaker');
+const lastKnownGood = require('./utils/lastKnownGood');
+const fixtures = require('./utils/fixtures');
+const sanity = require('./utils/sanity');
+const http = require('./utils/http');
+const converter = require('./converter');
+const pairs = require('./pairs');
+const history = require('./history');
 
 /**
  * 🕷️ Sistema de Scraping Inteligente com Suporte Termux
@@ -14,8 +25,12 @@ class Scraper {
     constructor() {
         this.config = scrapingConfig;
         this.sources = this.config.sources.filter(source => source.enabled);
-        this.fallbackRate = this.config.fallbackRate;
+        this.preferredSources = null;
         this.maxRetries = this.config.maxRetries;
+        this.pair = pairs.getDefault();
+        this.pendingRevalidations = new Map();
+        this.abortController = new AbortController();
+        this.activeOperations = 0;
         this.isTermux = process.platform === 'android';
 
         if (this.isTermux) {
@@ -24,532 +39,605 @@ class Scraper {
     }
 
     /**
-     * 🌐 Obtém cotação com fallback inteligente
+     * 🌐 Obtém cotação com cache e fallback inteligente
+     * @param {Object} options - Opções da busca
+     * @param {boolean} options.forceRefresh - Ignora o cache e consulta as fontes
+     * @param {boolean} options.staleWhileRevalidate - Retorna cache vencido e atualiza em segundo plano
+     * @param {string} options.pair - Par de moedas (padrão: par atual)
      * @returns {Promise<Object>} Dados da cotação
      */
-    async getExchangeRate() {
-        // 📱 No Termux, prioriza APIs
-        if (this.isTermux) {
-            return await this.getExchangeRateTermux();
+    async getExchangeRate(options = {}) {
+        const pair = options.pair || this.pair;
+        const staleWhileRevalidate = options.staleWhileRevalidate !== undefined
+            ? options.staleWhileRevalidate
+            : this.config.cache.staleWhileRevalidate;
+
+        // 📼 No modo offline o resultado vem só das fixtures, sem cache
+        if (!options.forceRefresh && !fixtures.isReplaying()) {
+            const entry = this.getCachedEntry(pair);
+
+            if (entry && entry.isFresh) {
+                logger.info(`Cotação em cache (${entry.source}, há ${logger.formatDuration(entry.age)})`);
+                return this.fromCacheEntry(entry, pair);
+            }
+
+            if (entry && staleWhileRevalidate) {
+                logger.info(`Cotação em cache vencida (há ${logger.formatDuration(entry.age)}), atualizando em segundo plano...`);
+                this.revalidate(pair);
+                return this.fromCacheEntry(entry, pair);
+            }
         }
 
-        // 🖥️ No desktop, comportamento normal
-        return await this.getExchangeRateDesktop();
+        return await this.fetchExchangeRate(pair);
     }
 
     /**
-     * 📱 Estratégia para Termux (sem Playwright)
-     * @returns {Promise<Object>} Dados da cotação
+     * 💾 Obtém a entrada de cache mais recente (só das fontes de --sources, se houver)
+     * @param {string} pair - Par de moedas
+     * @returns {Object|null} Entrada do cache
      * @private
      */
-    async getExchangeRateTermux() {
-        logger.info('Modo Termux: usando API Awesome...');
-
-        // 🎯 Tenta API Awesome primeiro (ideal para Termux)
-        const awesomeSource = this.sources.find(s => s.name === 'API Pública (Awesome)' && s.enabled);
-        if (awesomeSource) {
-            const result = await this.trySource(awesomeSource);
-            if (result) {
-                return result;
-            }
+    getCachedEntry(pair) {
+        if (!this.preferredSources) {
+            return rateCache.getLatest(pair);
         }
 
-        // 🛡️ Tenta Banco Central como fallback
-        const bacenSource = this.sources.find(s => s.name === 'Banco Central API' && s.enabled);
-        if (bacenSource) {
-            logger.warn('API Awesome falhou, tentando Banco Central...');
-            const result = await this.trySource(bacenSource);
-            if (result) {
-                return result;
-            }
-        }
-
-        logger.error('Todas as APIs falharam, usando fallback estático');
-        return this.createFallbackData();
+        return this.preferredSources
+            .map(source => rateCache.get(pair, source.name))
+            .filter(Boolean)
+            .reduce((latest, entry) => (!latest || entry.storedAt > latest.storedAt ? entry : latest), null);
     }
 
     /**
-     * 🖥️ Estratégia para Desktop (com Playwright)
+     * 🌐 Consulta as fontes na ordem de prioridade da plataforma
+     * @param {string} pair - Par de moedas (padrão: par atual)
      * @returns {Promise<Object>} Dados da cotação
      * @private
      */
-    async getExchangeRateDesktop() {
-        let primaryResult = null;
-        let fallbackResult = null;
-
-        // 🎯 Tenta Google Finance primeiro
-        const googleSource = this.sources.find(s => s.name === 'Google Finance' && s.enabled);
-        if (googleSource) {
-            logger.info(`Buscando do Google Finance...`);
-            primaryResult = await this.trySource(googleSource);
-        }
+    async fetchExchangeRate(pair = this.pair) {
+        // 🚦 Mantém um único sinal de cancelamento para toda a cadeia de fallback
+        this.beginOperation();
 
-        if (primaryResult) {
-            logger.success(`Cotação obtida do Google Finance`);
-            return primaryResult;
-        }
+        try {
+            const chain = this.getSourceChain(pair);
+            if (chain.length === 0) {
+                logger.warn(`Nenhuma fonte ativa cota ${pair}`);
+            }
+            logger.debug(`Ordem das fontes (${this.getPlatform()}): ${chain.map(source => source.name).join(' → ')}`);
 
-        // 🛡️ Tenta Banco Central como fallback
-        const bacenSource = this.sources.find(s => s.name === 'Banco Central API' && s.enabled);
-        if (bacenSource) {
-            logger.warn(`Fallback para Banco Central...`);
-            fallbackResult = await this.trySource(bacenSource);
-        }
+            for (const [index, source] of chain.entries()) {
+                if (index === 0) {
+                    logger.info(`Buscando de ${source.name}...`);
+                } else {
+                    logger.warn(`Fallback para ${source.name}...`);
+                }
+
+                const result = await this.trySource(source, pair);
+                if (result) {
+                    logger.success(`Cotação obtida de ${source.name}`);
+                    return result;
+                }
+            }
 
-        if (fallbackResult) {
-            logger.success(`Cotação obtida do Banco Central`);
-            return fallbackResult;
+            logger.error('Todas as fontes falharam, tentando último valor conhecido');
+            return this.createFallbackData(pair);
+        } finally {
+            this.endOperation();
         }
+    }
 
-        // 💥 Último recurso: API Awesome
-        const awesomeSource = this.sources.find(s => s.name === 'API Pública (Awesome)' && s.enabled);
-        if (awesomeSource) {
-            logger.warn(`Último recurso: API Awesome...`);
-            const awesomeResult = await this.trySource(awesomeSource);
-            if (awesomeResult) {
-                return awesomeResult;
-            }
+    /**
+     * 🔗 Monta a cadeia de fallback: --sources, ou prioridade da fonte (com ajuste por plataforma)
+     * @param {string} pair - Par de moedas (padrão: par atual)
+     * @returns {Array<Object>} Fontes que cotam o par, na ordem em que serão consultadas
+     */
+    getSourceChain(pair = this.pair) {
+        if (this.preferredSources) {
+            return this.getPairSources(this.preferredSources, pair);
         }
 
-        logger.error('Todas as fontes falharam, usando fallback estático');
-        return this.createFallbackData();
+        const platform = this.getPlatform();
+        return this.getPairSources(this.sources, pair)
+            .map(source => ({ source: source, priority: this.getPriority(source, platform) }))
+            .filter(entry => entry.priority !== false)
+            .sort((a, b) => a.priority - b.priority)
+            .map(entry => entry.source);
     }
 
     /**
-     * 🔄 Tenta obter dados de uma fonte específica
-     * @param {Object} source - Fonte de dados
-     * @param {number} retryCount - Contador de tentativas
-     * @returns {Promise<Object|null>} Dados da cotação ou null
+     * 🌍 Define o par de moedas das próximas buscas (ex: --pair EUR-BRL)
+     * @param {string} pair - Par no formato BASE-QUOTE
+     * @returns {string} Par normalizado
      */
-    async trySource(source, retryCount = 0) {
-        try {
-            logger.debug(`Tentando ${source.name} (tentativa ${retryCount + 1})`);
+    setPair(pair) {
+        this.pair = this.resolvePair(pair);
+        return this.pair;
+    }
 
-            // 📱 No Termux, ignora Google Finance (web scraping)
-            if (this.isTermux && source.type === 'web') {
-                logger.debug(`Ignorando ${source.name} no Termux`);
-                return null;
-            }
+    /**
+     * 🌍 Obtém a cotação de vários pares (um por vez, com cache), sem trocar o par atual
+     * @param {Array<string>} pairIds - Pares de moedas
+     * @returns {Promise<Object>} Par → dados da cotação
+     */
+    async getQuotes(pairIds) {
+        const quotes = {};
 
-            switch (source.name) {
-                case 'Google Finance':
-                    return await this.scrapeGoogleFinance(source);
-                case 'Banco Central API':
-                    return await this.scrapeBancoCentralAPI(source);
-                case 'API Pública (Awesome)':
-                    return await this.scrapeAwesomeAPI(source);
-                default:
-                    return null;
-            }
-        } catch (error) {
-            if (retryCount < this.maxRetries) {
-                logger.warn(`Tentativa ${retryCount + 1} falhou, retentando...`);
-                await this.delay(this.config.retryDelay);
-                return this.trySource(source, retryCount + 1);
-            }
-            logger.error(`Fonte ${source.name} falhou após ${this.maxRetries} tentativas`);
-            return null;
+        for (const pair of new Set(pairIds.map(id => this.resolvePair(id)))) {
+            quotes[pair] = await this.getExchangeRate({ pair });
         }
+
+        return quotes;
     }
 
     /**
-     * 🌐 Scraping de fonte web (Google Finance) - apenas desktop
-     * @param {Object} source - Configuração da fonte
-     * @returns {Promise<Object|null>} Dados da cotação
+     * 🌍 Normaliza o par e verifica se alguma fonte ativa o cota
+     * @param {string} pair - Par no formato BASE-QUOTE
+     * @returns {string} Par normalizado
+     * @throws {Error} Se nenhuma fonte ativa cotar o par
+     * @private
      */
-    async scrapeGoogleFinance(source) {
-        // 📱 Bloqueia web scraping no Termux
-        if (this.isTermux) {
-            throw new Error('Web scraping não suportado no Termux');
-        }
+    resolvePair(pair) {
+        const parsed = pairs.parse(pair);
 
-        let browser;
-        try {
-            const { chromium } = require('playwright');
+        if (this.getPairSources(this.sources, parsed.id).length === 0) {
+            throw new Error(`❌ Nenhuma fonte ativa cota ${parsed.id}`);
+        }
 
-            browser = await chromium.launch(this.config.browser);
-            const page = await browser.newPage();
+        return parsed.id;
+    }
 
-            await page.setDefaultTimeout(source.timeout);
-            logger.debug(`Acessando: ${source.url}`);
+    /**
+     * 🕸️ Obtém as cotações do caminho de conversão (direto ou triangulado pelos pares configurados)
+     * @param {string} fromCurrency - Moeda de origem
+     * @param {string} toCurrency - Moeda de destino
+     * @param {string|Date} date - Data da PTAX a usar (padrão: cotação atual)
+     * @returns {Promise<Object>} path (pernas de converter.findPath) e quotes (par → cotação)
+     */
+    async getConversionQuotes(fromCurrency, toCurrency, date = null) {
+        const path = converter.findPath(fromCurrency, toCurrency, [this.pair, ...pairs.list()]);
+        // 📅 Com data, usa a PTAX de fechamento do dia (ou do último dia útil antes dele)
+        const quotes = date
+            ? await history.getQuotesOn(path.map(leg => leg.pair), date)
+            : await this.getQuotes(path.map(leg => leg.pair));
+
+        if (path.length > 1) {
+            logger.info(`Taxa cruzada: ${[path[0].from, ...path.map(leg => leg.to)].join(' → ')}`);
+        }
 
-            await page.goto(source.url, {
-                waitUntil: 'domcontentloaded',
-                timeout: source.timeout
-            });
+        return { path, quotes };
+    }
 
-            await page.waitForSelector(source.selectors.price, { timeout: 10000 });
-            logger.debug('Elemento do preço carregado (Google)');
+    /**
+     * 🌍 Filtra as fontes que cotam o par (campo `pairs` da fonte)
+     * @param {Array<Object>} sources - Fontes
+     * @param {string} pair - Par de moedas (padrão: par atual)
+     * @returns {Array<Object>} Fontes que suportam o par
+     * @private
+     */
+    getPairSources(sources, pair = this.pair) {
+        return sources.filter(source => pairs.isSupported(source, pair));
+    }
 
-            await page.waitForTimeout(2000);
+    /**
+     * 🎯 Define a ordem das fontes pela CLI (ex: --sources awesome,bacen)
+     * @param {string|Array<string>|null} list - Aliases, ids de provedor ou nomes das fontes
+     * @returns {Array<Object>|null} Fontes escolhidas
+     */
+    setPreferredSources(list) {
+        if (!list) {
+            this.preferredSources = null;
+            return null;
+        }
 
-            const priceText = await page.$eval(source.selectors.price, el => el.textContent.trim());
-            logger.debug(`Texto do preço: "${priceText}"`);
+        const names = (Array.isArray(list) ? list : String(list).split(','))
+            .map(name => name.trim())
+            .filter(Boolean);
 
-            const rate = this.parseRate(priceText);
-            if (!this.isValidRate(rate)) {
-                throw new Error(`❌ Taxa inválida: ${rate}`);
+        this.preferredSources = names.map(name => {
+            const source = this.resolveSource(name);
+            if (!source) {
+                const known = this.sources.map(item => item.alias || item.provider).join(', ');
+                throw new Error(`❌ Fonte desconhecida ou desativada: ${name} (disponíveis: ${known})`);
             }
+            return source;
+        });
 
-            const variation = await this.getVariationInfo(page, source);
+        return this.preferredSources;
+    }
 
-            // 🛡️ Garante que todos os campos estejam presentes
-            if (!variation.percent) variation.percent = '0.00%';
-            if (!variation.value) variation.value = '0.0000';
-            if (!variation.direction) variation.direction = 'stable';
-            if (!variation.timestamp) variation.timestamp = new Date().toLocaleString('pt-BR');
+    /**
+     * 🔍 Encontra fonte habilitada por alias, id do provedor ou nome
+     * @param {string} name - Alias, id ou nome da fonte
+     * @returns {Object|undefined} Configuração da fonte
+     * @private
+     */
+    resolveSource(name) {
+        const key = name.toLowerCase();
+        return this.sources.find(source =>
+            (source.alias && source.alias.toLowerCase() === key) ||
+            source.provider === key ||
+            source.name.toLowerCase() === key);
+    }
 
-            return {
-                rate: rate,
-                variation: variation,
-                source: source.name,
-                timestamp: new Date().toISOString()
-            };
+    /**
+     * 🔢 Obtém a prioridade da fonte na plataforma
+     * @param {Object} source - Configuração da fonte
+     * @param {string} platform - Plataforma (termux/desktop)
+     * @returns {number|boolean} Prioridade (menor primeiro) ou false para não usar
+     * @private
+     */
+    getPriority(source, platform) {
+        const overrides = source.platformPriority || {};
+        if (overrides[platform] !== undefined) {
+            return overrides[platform];
+        }
+        return source.priority ?? Number.MAX_SAFE_INTEGER;
+    }
 
-        } catch (error) {
-            logger.error(`Erro no Google Finance: ${error.message}`);
-            return null;
-        } finally {
-            if (browser) {
-                await browser.close();
-            }
+    /**
+     * 📱 Identifica a plataforma para as prioridades
+     * @returns {string} termux ou desktop
+     * @private
+     */
+    getPlatform() {
+        return this.isTermux ? 'termux' : 'desktop';
+    }
+
+    /**
+     * 🔄 Atualiza o cache em segundo plano (uma atualização por vez para cada par)
+     * @param {string} pair - Par de moedas (padrão: par atual)
+     * @returns {Promise<Object>} Dados da cotação
+     */
+    revalidate(pair = this.pair) {
+        if (!this.pendingRevalidations.has(pair)) {
+            this.pendingRevalidations.set(pair, this.fetchExchangeRate(pair)
+                .catch(error => {
+                    logger.debug(`Falha na atualização em segundo plano (${pair}): ${error.message}`);
+                    return null;
+                })
+                .finally(() => {
+                    this.pendingRevalidations.delete(pair);
+                }));
         }
+        return this.pendingRevalidations.get(pair);
     }
 
     /**
-     * 🏛️ Scraping da API do Banco Central
+     * 🎯 Obtém cotação de uma fonte específica, usando o cache da fonte
      * @param {Object} source - Configuração da fonte
-     * @returns {Promise<Object>} Dados da cotação
+     * @param {Object} options - Opções da busca
+     * @param {boolean} options.forceRefresh - Ignora o cache e consulta a fonte
+     * @returns {Promise<Object|null>} Dados da cotação ou null
      */
-    async scrapeBancoCentralAPI(source) {
-        try {
-            const today = new Date();
-            const dateStr = today.toLocaleDateString('en-US', {
-                month: '2-digit',
-                day: '2-digit',
-                year: 'numeric'
-            }).replace(/\//g, '-');
-
-            const apiUrl = `${source.url}?@dataCotacao='${dateStr}'&$top=1&$format=json`;
-            logger.debug(`Acessando API BC: ${apiUrl}`);
-
-            const response = await fetch(apiUrl, {
-                headers: {
-                    'User-Agent': this.config.userAgent,
-                    'Accept': 'application/json'
-                }
-            });
+    async getFromSource(source, options = {}) {
+        const pair = this.pair;
+        if (!pairs.isSupported(source, pair)) {
+            logger.warn(`${source.name} não cota ${pair}`);
+            return null;
+        }
 
-            if (!response.ok) {
-                throw new Error(`❌ HTTP ${response.status}: ${response.statusText}`);
+        if (!options.forceRefresh && !fixtures.isReplaying()) {
+            const entry = rateCache.get(pair, source.name);
+            if (entry && entry.isFresh) {
+                logger.info(`Cotação em cache (${source.name}, há ${logger.formatDuration(entry.age)})`);
+                return this.fromCacheEntry(entry, pair);
             }
+        }
 
-            const data = await response.json();
+        return await this.trySource(source, pair);
+    }
 
-            if (!data.value || data.value.length === 0) {
-                // 🔄 Tenta dia anterior
-                const yesterday = new Date(today);
-                yesterday.setDate(yesterday.getDate() - 1);
-                const yesterdayStr = yesterday.toLocaleDateString('en-US', {
-                    month: '2-digit',
-                    day: '2-digit',
-                    year: 'numeric'
-                }).replace(/\//g, '-');
+    /**
+     * 💾 Converte entrada do cache em dados de cotação
+     * @param {Object} entry - Entrada do cache
+     * @param {string} pair - Par de moedas
+     * @returns {Object} Dados da cotação com metadados do cache
+     * @private
+     */
+    fromCacheEntry(entry, pair) {
+        return {
+            pair: pair,
+            ...entry.data,
+            cache: {
+                hit: true,
+                stale: !entry.isFresh,
+                age: entry.age,
+                storedAt: new Date(entry.storedAt).toISOString()
+            }
+        };
+    }
 
-                const yesterdayUrl = `${source.url}?@dataCotacao='${yesterdayStr}'&$top=1&$format=json`;
-                const yesterdayResponse = await fetch(yesterdayUrl);
+    /**
+     * 📊 Consulta todas as fontes em paralelo e calcula o consenso (mediana)
+     * @returns {Promise<Object>} Dados da cotação com bloco `consensus`
+     */
+    async getConsensusRate() {
+        const pair = this.pair;
+        const sources = this.getPairSources(this.preferredSources || this.sources, pair);
+        logger.info(`Modo consenso: consultando ${sources.length} fontes em paralelo...`);
+        const tolerancePercent = this.config.consensus.tolerancePercent;
+
+        this.beginOperation();
+        let results;
+        try {
+            results = await Promise.all(sources.map(async source => {
+                const startedAt = Date.now();
+                const exchangeData = await this.trySource(source, pair);
+                return {
+                    source: source.name,
+                    exchangeData: exchangeData,
+                    latency: Date.now() - startedAt
+                };
+            }));
+        } finally {
+            this.endOperation();
+        }
 
-                if (!yesterdayResponse.ok) {
-                    throw new Error('❌ Nenhum dado para hoje ou ontem');
-                }
+        const successful = results.filter(result => result.exchangeData);
+        if (successful.length === 0) {
+            logger.error('Todas as fontes falharam, tentando último valor conhecido');
+            return this.createFallbackData(pair);
+        }
 
-                const yesterdayData = await yesterdayResponse.json();
-                if (!yesterdayData.value || yesterdayData.value.length === 0) {
-                    throw new Error('❌ Nenhum dado retornado');
-                }
+        const rates = successful.map(result => result.exchangeData.rate);
+        const median = this.median(rates);
+        const minRate = Math.min(...rates);
+        const maxRate = Math.max(...rates);
 
-                data.value = yesterdayData.value;
+        const quotes = results.map(result => {
+            if (!result.exchangeData) {
+                return { source: result.source, rate: null, latency: result.latency, ok: false };
             }
 
-            const cotacao = data.value[0];
-            const rate = cotacao.cotacaoVenda;
-            logger.debug(`Taxa API BC: ${rate}`);
+            const deviation = result.exchangeData.rate - median;
+            const deviationPercent = (deviation / median) * 100;
+            const outlier = Math.abs(deviationPercent) > tolerancePercent;
 
-            if (!this.isValidRate(rate)) {
-                throw new Error(`❌ Taxa inválida: ${rate}`);
+            if (outlier) {
+                logger.warn(`${result.source} diverge do consenso: ${result.exchangeData.rate} (${deviationPercent.toFixed(2)}%)`);
             }
 
             return {
-                rate: rate,
-                variation: {
-                    percent: '0.00%',
-                    value: '0.0000',
-                    direction: 'stable',
-                    timestamp: new Date().toLocaleString('pt-BR')
-                },
-                source: source.name,
-                timestamp: new Date().toISOString()
+                source: result.source,
+                rate: result.exchangeData.rate,
+                latency: result.latency,
+                ok: true,
+                deviation: parseFloat(deviation.toFixed(4)),
+                deviationPercent: parseFloat(deviationPercent.toFixed(4)),
+                outlier: outlier
             };
+        });
 
-        } catch (error) {
-            logger.error(`Erro na API BC: ${error.message}`);
-            return null;
-        }
+        // ↔️ Compra/venda pela mediana das fontes que informam os dois lados
+        const withSides = successful.filter(result => result.exchangeData.bid && result.exchangeData.ask);
+        const sides = withSides.length > 0
+            ? converter.createQuoteSides(
+                this.median(withSides.map(result => result.exchangeData.bid)),
+                this.median(withSides.map(result => result.exchangeData.ask)))
+            : converter.createQuoteSides();
+
+        // 📈 Variação vem da primeira fonte que a informa
+        const withVariation = successful.find(result => result.exchangeData.variation.direction !== 'stable') || successful[0];
+
+        logger.success(`Consenso de ${successful.length}/${results.length} fontes: ${median.toFixed(4)}`);
+
+        return {
+            pair: pair,
+            rate: median,
+            ...sides,
+            variation: withVariation.exchangeData.variation,
+            source: `Consenso (${successful.length} fontes)`,
+            timestamp: new Date().toISOString(),
+            consensus: {
+                median: median,
+                spread: parseFloat((maxRate - minRate).toFixed(4)),
+                spreadPercent: parseFloat((((maxRate - minRate) / median) * 100).toFixed(4)),
+                tolerancePercent: tolerancePercent,
+                hasOutliers: quotes.some(quote => quote.outlier),
+                quotes: quotes
+            }
+        };
     }
 
     /**
-     * 🌐 Scraping da API Awesome
-     * @param {Object} source - Configuração da fonte
-     * @returns {Promise<Object>} Dados da cotação
+     * 🔄 Tenta obter dados de uma fonte específica
+     * @param {Object} source - Fonte de dados
+     * @param {string} pair - Par de moedas (padrão: par atual)
+     * @param {number} retryCount - Contador de tentativas
+     * @returns {Promise<Object|null>} Dados da cotação ou null
      */
-    async scrapeAwesomeAPI(source) {
+    async trySource(source, pair = this.pair, retryCount = 0) {
+        const signal = this.beginOperation();
+
         try {
-            logger.debug(`Acessando API Awesome: ${source.url}`);
-
-            const response = await fetch(source.url, {
-                headers: {
-                    'User-Agent': 'RAVC-CLI/1.0.0',
-                    'Accept': 'application/json'
-                },
-                timeout: source.timeout
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (signal.aborted) {
+                return null;
             }
 
-            const data = await response.json();
-            const usdBrl = data.USDBRL;
-            const rate = parseFloat(usdBrl.bid);
+            // 🔌 Fonte com circuito aberto fica de fora até o fim do resfriamento
+            if (retryCount === 0 && !circuitBreaker.canRequest(source.name)) {
+                logger.debug(`Ignorando ${source.name}: circuito aberto`);
+                return null;
+            }
+
+            logger.debug(`Tentando ${source.name} (tentativa ${retryCount + 1})`);
 
-            logger.debug(`Taxa API Awesome: ${rate}`);
+            const provider = providers.resolve(source);
 
-            if (!this.isValidRate(rate)) {
-                throw new Error(`Taxa inválida: ${rate}`);
+            // 📱 Sem navegador (Termux ou Playwright ausente), ignora provedores que dependem dele
+            if (provider.capabilities.requiresBrowser && !this.isBrowserAvailable()) {
+                logger.debug(`Ignorando ${source.name}: navegador indisponível`);
+                return null;
             }
 
-            // Calcula variação baseada no pctChange
-            const pctChange = parseFloat(usdBrl.pctChange);
-            const variationValue = parseFloat(usdBrl.varBid);
-            const direction = pctChange >= 0 ? 'up' : (pctChange < 0 ? 'down' : 'stable');
+            const context = { config: this.config, signal: signal, pair: pairs.parse(pair) };
+            const raw = await this.fetchRaw(provider, source, context);
+            const exchangeData = { pair: pair, ...provider.parse(raw, source, context) };
 
-            return {
-                rate: rate,
-                variation: {
-                    percent: `${Math.abs(pctChange).toFixed(4)}%`,
-                    value: variationValue.toFixed(4),
-                    direction: direction,
-                    timestamp: new Date().toLocaleString('pt-BR')
-                },
-                source: source.name,
-                timestamp: new Date().toISOString()
-            };
+            const validation = provider.validate(exchangeData, source);
+            if (!validation.isValid) {
+                throw new Error(validation.error);
+            }
+
+            // 🧪 Fora dos limites do par ou salto suspeito: descarta e segue para a próxima fonte
+            const sanityCheck = sanity.check(exchangeData, pair);
+            if (!sanityCheck.isValid) {
+                logger.warn(`Cotação de ${source.name} rejeitada: ${sanityCheck.error}`);
+                return null;
+            }
 
+            circuitBreaker.recordSuccess(source.name);
+            if (!fixtures.isReplaying()) {
+                rateCache.set(pair, source.name, exchangeData);
+                lastKnownGood.save(pair, exchangeData);
+            }
+            return exchangeData;
         } catch (error) {
-            logger.error(`Erro na API Awesome: ${error.message}`);
+            // 🛑 Cancelado pelo usuário: sem novas tentativas nem falha no circuito
+            if (signal.aborted || http.isCancelError(error)) {
+                logger.warn(`Busca em ${source.name} cancelada`);
+                return null;
+            }
+
+            // 📼 Fixture ausente ou inválida não melhora com novas tentativas
+            if (retryCount < this.maxRetries && !fixtures.isReplaying()) {
+                logger.warn(`Tentativa ${retryCount + 1} falhou, retentando...`);
+                await this.delay(this.config.retryDelay);
+                return this.trySource(source, pair, retryCount + 1);
+            }
+            logger.error(`Fonte ${source.name} falhou após ${this.maxRetries} tentativas: ${error.message}`);
+            circuitBreaker.recordFailure(source.name);
             return null;
+        } finally {
+            this.endOperation();
         }
     }
 
-    // 🔧 Métodos auxiliares (mantidos da versão original)
-
     /**
-     * 📊 Obtém informações de variação
-     * @param {Object} page - Página do Playwright
+     * 📼 Obtém a resposta bruta da fonte (rede, navegador ou fixture gravada)
+     * @param {Object} provider - Provedor da fonte
      * @param {Object} source - Configuração da fonte
-     * @returns {Promise<Object>} Dados de variação
+     * @param {Object} context - Contexto do provedor (config, signal e pair já interpretado)
+     * @returns {Promise<*>} Resposta bruta para provider.parse()
      * @private
      */
-    async getVariationInfo(page, source) {
-        const variation = {
-            percent: '0.00%',
-            value: '0.0000',
-            direction: 'stable',
-            timestamp: new Date().toLocaleString('pt-BR')
-        };
-
-        try {
-            const mainContainer = await page.$('.rPF6Lc');
-            if (!mainContainer) {
-                logger.debug('Container principal não encontrado');
-                return variation;
-            }
-
-            logger.debug('Container principal encontrado');
-
-            const percentResult = await this.findPercentage(mainContainer);
-            if (percentResult) {
-                variation.percent = percentResult;
-                logger.debug(`Porcentagem: "${variation.percent}"`);
-            }
-
-            const valueResult = await this.findValue(mainContainer);
-            if (valueResult) {
-                variation.value = valueResult;
-                logger.debug(`Valor: "${variation.value}"`);
-            }
+    async fetchRaw(provider, source, context) {
+        const pair = context.pair.id;
+        if (fixtures.isReplaying()) {
+            return fixtures.load(source, pair);
+        }
 
-            variation.direction = await this.determineDirection(mainContainer, variation);
-            logger.debug(`Direção: ${variation.direction}`);
+        const raw = await provider.fetch(source, context);
 
-        } catch (error) {
-            logger.debug(`Erro ao obter variação: ${error.message}`);
+        if (fixtures.isRecording()) {
+            fixtures.save(source, provider, raw, pair);
         }
 
-        return variation;
+        return raw;
     }
 
     /**
-     * 🔍 Encontra porcentagem de variação
-     * @param {Object} container - Container do Playwright
-     * @returns {Promise<string>} Porcentagem formatada
-     * @private
+     * 🚦 Marca início de operação e retorna o sinal de cancelamento compartilhado (também usado pelo histórico PTAX)
+     * @returns {AbortSignal} Sinal da operação em curso
      */
-    async findPercentage(container) {
-        try {
-            const element = await container.$('.JwB6zf');
-            if (element) {
-                let text = await element.textContent();
-                logger.debug(`Texto do JwB6zf: "${text}"`);
-                return text.replace(/[+−]/g, '').replace(',', '.');
-            }
-        } catch (e) {
-            logger.debug('Falha no JwB6zf');
+    beginOperation() {
+        if (this.activeOperations === 0 && this.abortController.signal.aborted) {
+            this.abortController = new AbortController();
         }
-        return '0.00%';
+        this.activeOperations++;
+        return this.abortController.signal;
     }
 
     /**
-     * 🔍 Encontra valor de variação
-     * @param {Object} container - Container do Playwright
-     * @returns {Promise<string>} Valor formatado
-     * @private
+     * 🏁 Marca fim de operação
      */
-    async findValue(container) {
-        const valueSelectors = [
-            '.P2Luy.Ebnabc.ZYVHBb',
-            '.ZYVHBb',
-            '.P2Luy',
-            '.Ebnabc'
-        ];
-
-        for (const selector of valueSelectors) {
-            try {
-                const element = await container.$(selector);
-                if (element) {
-                    const text = await element.textContent();
-                    logger.debug(`Tentando seletor "${selector}": "${text}"`);
-
-                    const match = text.match(/[-−+]?\d+[,.]?\d*/);
-                    if (match) {
-                        return match[0].replace('−', '-').replace(',', '.');
-                    }
-                }
-            } catch (error) {
-                // 🔄 Continuar para o próximo seletor
-            }
-        }
-
-        return '0.0000';
+    endOperation() {
+        this.activeOperations = Math.max(0, this.activeOperations - 1);
     }
 
     /**
-     * 🎯 Determina direção da variação
-     * @param {Object} container - Container do Playwright
-     * @param {Object} variation - Dados de variação
-     * @returns {Promise<string>} Direção (up/down/stable)
-     * @private
+     * 🛑 Cancela as buscas em andamento
+     * @returns {boolean} Se havia busca para cancelar
      */
-    async determineDirection(container, variation) {
-        if (variation.value && variation.value !== '0.0000') {
-            logger.debug(`Analisando valor: "${variation.value}"`);
-            return variation.value.startsWith('-') ? 'down' : 'up';
-        }
-
-        try {
-            const element = await container.$('[jsname="Fe7oBc"]');
-            if (element) {
-                const ariaLabel = await element.getAttribute('aria-label');
-                logger.debug(`aria-label: "${ariaLabel}"`);
-
-                if (ariaLabel) {
-                    if (ariaLabel.includes('Diminuiu') || ariaLabel.includes('down') || ariaLabel.includes('fall')) {
-                        return 'down';
-                    } else if (ariaLabel.includes('Aumentou') || ariaLabel.includes('up') || ariaLabel.includes('rise')) {
-                        return 'up';
-                    }
-                }
-            }
-        } catch (error) {
-            logger.debug('Não foi possível determinar direção pelo aria-label');
+    cancel() {
+        if (this.activeOperations === 0 || this.abortController.signal.aborted) {
+            return false;
         }
 
-        return 'stable';
+        this.abortController.abort();
+        return true;
     }
 
     /**
-     * 🔄 Parseia texto da taxa
-     * @param {string} rateText - Texto da taxa
-     * @returns {number} Taxa parseada
-     * @private
+     * 🌐 Verifica se provedores com navegador podem rodar
+     * @returns {boolean} Se há Playwright e não é Termux (no modo offline, as fixtures substituem o navegador)
      */
-    parseRate(rateText) {
-        const strategies = [
-            () => {
-                const match = rateText.match(/(\d+),(\d+)/);
-                if (match) {
-                    return parseFloat(`${match[1]}.${match[2]}`);
-                }
-                return null;
-            },
-            () => {
-                const clean = rateText.replace(/[^\d,.]/g, '');
-                if (clean.includes(',')) {
-                    return parseFloat(clean.replace(',', '.'));
-                }
-                return parseFloat(clean);
-            }
-        ];
-
-        for (const strategy of strategies) {
-            const result = strategy();
-            if (result && !isNaN(result)) {
-                return result;
-            }
+    isBrowserAvailable() {
+        if (fixtures.isReplaying()) {
+            return true;
         }
-
-        throw new Error(`❌ Não foi possível parsear: ${rateText}`);
+        return !this.isTermux && browserPool.isInstalled();
     }
 
     /**
-     * ✅ Valida taxa obtida
-     * @param {number} rate - Taxa a validar
-     * @returns {boolean} Se a taxa é válida
+     * 📐 Calcula mediana
+     * @param {Array<number>} values - Valores
+     * @returns {number} Mediana
      * @private
      */
-    isValidRate(rate) {
-        return rate && !isNaN(rate) && rate > 1 && rate < 10;
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0
+            ? (sorted[middle - 1] + sorted[middle]) / 2
+            : sorted[middle];
     }
 
     /**
-     * 🛡️ Cria dados de fallback
-     * @returns {Object} Dados de fallback
+     * 🛡️ Cria dados de fallback a partir do último valor conhecido
+     * @param {string} pair - Par de moedas (padrão: par atual)
+     * @returns {Object} Última cotação válida com bloco `lastKnownGood` (fonte original e idade)
+     * @throws {Error} ENOQUOTE se não houver valor conhecido ou se ele passar de `lastKnownGood.maxAge`
      * @private
      */
-    createFallbackData() {
+    createFallbackData(pair = this.pair) {
+        const entry = fixtures.isReplaying() ? null : lastKnownGood.load(pair);
+
+        if (!entry) {
+            throw this.createNoQuoteError('❌ Todas as fontes falharam e não há cotação conhecida');
+        }
+
+        const age = logger.formatDuration(entry.age);
+        if (entry.isExpired) {
+            throw this.createNoQuoteError(`❌ Todas as fontes falharam e o último valor conhecido (${entry.data.source}) ` +
+                `tem ${age}, acima do máximo de ${logger.formatDuration(lastKnownGood.maxAge)}`);
+        }
+
+        logger.warn(`Último valor conhecido: ${entry.data.rate} (${entry.data.source}), há ${age}`);
+
         return {
-            rate: this.fallbackRate,
-            variation: {
-                percent: '0.00%',
-                value: '0.0000',
-                direction: 'stable',
-                timestamp: new Date().toLocaleString('pt-BR')
-            },
-            source: 'Fallback',
-            timestamp: new Date().toISOString()
+            pair: pair,
+            ...entry.data,
+            lastKnownGood: {
+                source: entry.data.source,
+                age: entry.age,
+                storedAt: new Date(entry.storedAt).toISOString()
+            }
         };
     }
 
+    /**
+     * 🚫 Cria erro de cotação indisponível (sem último valor conhecido válido)
+     * @param {string} message - Mensagem do erro
+     * @returns {Error} Erro com code ENOQUOTE
+     * @private
+     */
+    createNoQuoteError(message) {
+        const error = new Error(message);
+        error.code = 'ENOQUOTE';
+        return error;
+    }
+
     /**
      * ⏳ Delay entre tentativas
      * @param {number} ms - Milissegundos para esperar
@@ -7,6 +7,12 @@ const uiConfig = require('./config/ui.json');
 const logger = require('./utils/logger');
 const scraper = require('./scraper');
 const Updater = require('./updater');
+const history = require('./history');
+const doctor = require('./doctor');
+const pairs = require('./pairs');
+const calendar = require('./calendar');
+const calculator = require('./calculator');
+const fileConverter = require('./fileConverter');
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
@@ -27,19 +33,25 @@ class UI {
         this.updater = new Updater(scraper, converter);
         this.currentExchangeData = null;
         this.updateCount = 0;
+        this.options = {};
     }
 
     /**
      * 🚀 Inicia a interface baseada nos argumentos
      * @param {Array} args - Argumentos da CLI
+     * @param {Object} options - Opções (flags) da CLI
      * @returns {Promise<void>}
      */
-    async start(args = []) {
+    async start(args = [], options = {}) {
         const command = args[0];
+        this.options = options;
 
         switch (command) {
             case 'google':
-                await this.directSource('Google Finance');
+                // 🪶 Sem navegador (ou com --http), usa o Google Finance via HTTP
+                await this.directSource(scraper.isBrowserAvailable() && !this.options.http
+                    ? 'Google Finance'
+                    : 'Google Finance (HTTP)');
                 break;
             case 'bacen':
                 await this.directSource('Banco Central API');
@@ -47,6 +59,33 @@ class UI {
             case 'update':
                 await this.continuousUpdateMode();
                 break;
+            case 'history':
+                await this.showHistory();
+                break;
+            case 'consensus':
+                await this.consensusMode();
+                break;
+            case 'bulletins':
+                await this.bulletinsMode();
+                break;
+            case 'doctor':
+                await this.showDoctor();
+                break;
+            case 'convert':
+                await this.convertMode(args.slice(1));
+                break;
+            case 'cost':
+                await this.costMode(args[1]);
+                break;
+            case 'need':
+                await this.needMode(args[1]);
+                break;
+            case 'calc':
+                await this.calcMode(args.slice(1).join(' '));
+                break;
+            case 'convert-file':
+                await this.convertFileMode(args[1]);
+                break;
             default:
                 await this.showMainMenu();
         }
@@ -68,7 +107,9 @@ class UI {
                 throw new Error(`❌ Fonte ${sourceName} não disponível`);
             }
 
-            const exchangeData = await scraper.trySource(sourceConfig);
+            const exchangeData = await scraper.getFromSource(sourceConfig, {
+                forceRefresh: Boolean(this.options.refresh)
+            });
 
             if (!exchangeData) {
                 throw new Error(`❌ Falha ao obter dados de ${sourceName}`);
@@ -87,6 +128,51 @@ class UI {
         }
     }
 
+    /**
+     * 📊 Modo consenso: todas as fontes em paralelo
+     * @returns {Promise<void>}
+     */
+    async consensusMode() {
+        const exchangeData = await scraper.getConsensusRate();
+
+        if (this.options.json) {
+            console.log(JSON.stringify(converter.toJSON(exchangeData), null, 2));
+            return;
+        }
+
+        this.currentExchangeData = exchangeData;
+        this.showWelcome();
+        this.showRateBox(exchangeData);
+        await this.showQuickMenu();
+    }
+
+    /**
+     * 🕐 Modo boletins: abertura, intermediários e fechamento PTAX do dia
+     * @returns {Promise<void>}
+     */
+    async bulletinsMode() {
+        let exchangeData;
+        try {
+            const currency = history.getCurrency(scraper.pair);
+            logger.info(`Buscando boletins PTAX de ${currency}...`);
+            exchangeData = await history.getBulletins(this.options.date, currency);
+        } catch (error) {
+            logger.error(`Erro nos boletins PTAX: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (this.options.json) {
+            console.log(JSON.stringify(converter.toJSON(exchangeData), null, 2));
+            return;
+        }
+
+        this.currentExchangeData = exchangeData;
+        this.showWelcome();
+        this.showRateBox(exchangeData);
+        await this.showQuickMenu();
+    }
+
     /**
      * 🔄 Modo de atualização contínua
      * @returns {Promise<void>}
@@ -119,8 +205,8 @@ class UI {
 
         // ⏳ Mantém o processo rodando com tratamento de Ctrl+C
         return new Promise((resolve) => {
-            process.on('SIGINT', () => {
-                this.updater.stopContinuousUpdate();
+            process.on('SIGINT', async () => {
+                await this.updater.stopContinuousUpdate();
                 console.clear();
                 console.log(colors.success('✅ Atualização contínua parada. Saindo...'));
                 process.exit(0);
@@ -128,6 +214,373 @@ class UI {
         });
     }
 
+    /**
+     * 📜 Exibe histórico PTAX (não interativo)
+     * @returns {Promise<void>}
+     */
+    async showHistory() {
+        const format = this.options.json ? 'json' : (this.options.format || 'table');
+
+        try {
+            if (!['table', 'json', 'csv'].includes(format)) {
+                throw new Error(`❌ Formato inválido: ${format} (use table, json ou csv)`);
+            }
+
+            const to = this.options.to || new Date();
+            const from = this.options.from || this.daysBefore(history.parseDate(to), history.config.defaultDays);
+            const currency = history.getCurrency(scraper.pair);
+
+            logger.info(`Buscando histórico PTAX de ${currency}...`);
+            const rates = await history.getRange(from, to, currency);
+
+            if (format === 'json') {
+                console.log(history.toJSON(rates));
+            } else if (format === 'csv') {
+                console.log(history.toCSV(rates));
+            } else {
+                console.log(history.toTable(rates, currency));
+            }
+        } catch (error) {
+            logger.error(`Erro no histórico: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * 🕸️ Converte entre quaisquer moedas dos pares configurados (não interativo)
+     * @param {Array<string>} args - Valor, moeda de origem e moeda de destino (ex: 100 EUR USD, ou "US$ 50" BRL)
+     * @returns {Promise<void>}
+     */
+    async convertMode(args) {
+        const usage = 'Uso: ravc convert <valor> <moeda de origem> <moeda de destino> (ex: ravc convert 100 EUR USD)';
+        const [amountInput, ...currencies] = args;
+        const amount = converter.validateAmount(String(amountInput || ''));
+        // 💱 A moeda de origem pode vir no próprio valor ("US$ 50" BRL)
+        const [fromCurrency, toCurrency] = currencies.length === 1 && amount.currency
+            ? [amount.currency, currencies[0]]
+            : currencies;
+        const validation = fromCurrency ? converter.validateAmount(String(amountInput), fromCurrency) : amount;
+
+        if (!validation.isValid || !fromCurrency || !toCurrency) {
+            if (!validation.isValid) {
+                logger.error(`Valor inválido: ${validation.error}`);
+            }
+            logger.error(usage);
+            process.exitCode = 1;
+            return;
+        }
+
+        let conversion;
+        let requestedDate = null;
+        try {
+            if (this.options.fiscal) {
+                const presetId = this.options.fiscal === true ? null : this.options.fiscal;
+                conversion = await this.convertAtFiscalRate(validation.exact, fromCurrency, toCurrency, presetId, this.options.date);
+            } else if (this.options.date) {
+                ({ conversion, requestedDate } = await this.convertAtDate(validation.exact, fromCurrency, toCurrency, this.options.date));
+            } else {
+                const { path: conversionPath, quotes } = await scraper.getConversionQuotes(fromCurrency, toCurrency);
+                conversion = converter.convertPath(validation.exact, conversionPath, quotes);
+            }
+        } catch (error) {
+            // 🚫 Sem cotação confiável: deixa o index encerrar com código 3
+            if (error.code === 'ENOQUOTE') throw error;
+            logger.error(`Erro na conversão: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (this.options.json) {
+            console.log(JSON.stringify(requestedDate ? { ...conversion, requestedDate } : conversion, null, 2));
+            return;
+        }
+
+        console.log(boxManager.createConversionResultBox(...this.getConversionBoxArgs(conversion, requestedDate)));
+    }
+
+    /**
+     * 📅 Converte com a PTAX de uma data (recuando até o último dia útil com PTAX publicada)
+     * @param {string} amount - Valor exato (texto decimal)
+     * @param {string} from - Moeda de origem
+     * @param {string} to - Moeda de destino
+     * @param {string} date - Data (AAAA-MM-DD ou DD/MM/AAAA)
+     * @returns {Promise<Object>} conversion (converter.convertPath) e requestedDate (YYYY-MM-DD)
+     * @private
+     */
+    async convertAtDate(amount, from, to, date) {
+        const requestedDate = calendar.toISODate(history.parseDate(date));
+        logger.info(`Buscando PTAX de ${requestedDate}...`);
+
+        const { path: conversionPath, quotes } = await scraper.getConversionQuotes(from, to, requestedDate);
+        return { conversion: converter.convertPath(amount, conversionPath, quotes), requestedDate };
+    }
+
+    /**
+     * 🏛️ Converte pela taxa fiscal da Receita: o preset define a data de referência e o lado da PTAX
+     * @param {string} amount - Valor exato (texto decimal)
+     * @param {string} from - Moeda de origem
+     * @param {string} to - Moeda de destino
+     * @param {string} presetId - Preset de fiscal.presets no converter.json (null usa o padrão)
+     * @param {string} date - Data da operação (AAAA-MM-DD ou DD/MM/AAAA; padrão: hoje)
+     * @returns {Promise<Object>} Resultado de converter.convertPath() com o bloco fiscal (regra e datas aplicadas)
+     * @private
+     */
+    async convertAtFiscalRate(amount, from, to, presetId, date) {
+        const { quoteSide, ...fiscal } = converter.getFiscalReference(presetId, date ? history.parseDate(date) : new Date());
+        logger.info(`${fiscal.label}: buscando PTAX de ${fiscal.ptax} de ${fiscal.referenceDate}...`);
+
+        const { path: conversionPath, quotes } = await scraper.getConversionQuotes(from, to, fiscal.referenceDate);
+        const conversion = converter.convertPath(amount, conversionPath, quotes, { quoteSide });
+        return { ...conversion, fiscal: { ...fiscal, usedDate: conversion.path[0].referenceDate } };
+    }
+
+    /**
+     * 📦 Monta os argumentos do box de resultado de uma conversão por caminho (atual, em uma data ou fiscal)
+     * @param {Object} conversion - Resultado de converter.convertPath()
+     * @param {string} requestedDate - Data pedida (YYYY-MM-DD) ou null para a cotação atual
+     * @returns {Array} from, to, rate, direction, source e details
+     * @private
+     */
+    getConversionBoxArgs(conversion, requestedDate = null) {
+        return [
+            converter.formatCurrency(conversion.amount, conversion.from),
+            converter.formatCurrency(conversion.result, conversion.to),
+            converter.formatRate(conversion.rate),
+            `${conversion.from} → ${conversion.to}`,
+            [...new Set(conversion.path.map(leg => leg.source))].join(' + '),
+            [
+                ...(conversion.fiscal ? boxManager.getFiscalLines(conversion.fiscal) : []),
+                ...(requestedDate ? boxManager.getReferenceDateLines(conversion, requestedDate) : []),
+                ...boxManager.getConversionPathLines(conversion, converter)
+            ]
+        ];
+    }
+
+    /**
+     * 📅 Valida a data da PTAX digitada no menu (vazio usa a cotação atual)
+     * @param {string} input - Data digitada
+     * @returns {boolean|string} true ou a mensagem de erro
+     * @private
+     */
+    validatePtaxDate(input) {
+        if (!input.trim()) {
+            return true;
+        }
+
+        try {
+            const date = history.parseDate(input);
+            return date <= new Date() || '❌ Data no futuro: não há PTAX';
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * 🧾 Valida spread ou tarifa digitado no menu (aceita zero, "1.000,50", "R$ 25" e "2%")
+     * @param {string} input - Valor digitado
+     * @param {string|null} currency - Moeda da tarifa (null para o spread em %)
+     * @returns {Object} Resultado de converter.validateAmount()
+     * @private
+     */
+    validateCostValue(input, currency = null) {
+        return converter.validateAmount(String(input ?? '').trim().replace(/\s*%$/, ''), currency, { allowZero: true });
+    }
+
+    /**
+     * 🧾 Calcula o custo efetivo de comprar a moeda base do par (não interativo)
+     * @param {string} amountInput - Valor na moeda base
+     * @returns {Promise<void>}
+     */
+    async costMode(amountInput) {
+        const validation = converter.validateAmount(String(amountInput || ''), pairs.parse(scraper.pair).base);
+
+        if (!validation.isValid) {
+            logger.error(`Valor inválido: ${validation.error}`);
+            logger.error('Uso: ravc cost <valor> [--iof card|cash|wire|investment] [--spread %] [--fee valor]');
+            process.exitCode = 1;
+            return;
+        }
+
+        const exchangeData = await this.fetchExchangeRate();
+        let cost;
+        try {
+            cost = converter.calculateCost(validation.exact, converter.getSideRate(exchangeData, 'buy'), {
+                preset: this.options.iof,
+                spreadPercent: this.options.spread,
+                fixedFee: this.options.fee,
+                pair: exchangeData.pair
+            });
+        } catch (error) {
+            logger.error(`Erro no custo efetivo: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (this.options.json) {
+            console.log(JSON.stringify({ ...cost, source: exchangeData.source }, null, 2));
+            return;
+        }
+
+        console.log(boxManager.createConversionResultBox(
+            converter.formatCurrency(cost.amount, cost.from),
+            converter.formatCurrency(cost.breakdown.total, cost.to),
+            converter.formatRate(cost.totalRate),
+            `${cost.from} → ${cost.to} (custo efetivo)`,
+            exchangeData.source,
+            boxManager.getCostLines(cost, converter)
+        ));
+    }
+
+    /**
+     * 🎯 Calcula quanto pagar para o destinatário receber exatamente o valor na moeda base (não interativo)
+     * @param {string} amountInput - Valor a receber na moeda base
+     * @returns {Promise<void>}
+     */
+    async needMode(amountInput) {
+        const validation = converter.validateAmount(String(amountInput || ''), pairs.parse(scraper.pair).base);
+
+        if (!validation.isValid) {
+            logger.error(`Valor inválido: ${validation.error}`);
+            logger.error('Uso: ravc need <valor a receber> [--iof card|cash|wire|investment] [--spread %] [--fee valor] [--foreign-fee valor]');
+            process.exitCode = 1;
+            return;
+        }
+
+        const exchangeData = await this.fetchExchangeRate();
+        let required;
+        try {
+            required = converter.calculateRequired(validation.exact, converter.getSideRate(exchangeData, 'buy'), {
+                preset: this.options.iof,
+                spreadPercent: this.options.spread,
+                fixedFee: this.options.fee,
+                foreignFee: this.options.foreignFee,
+                pair: exchangeData.pair
+            });
+        } catch (error) {
+            logger.error(`Erro no valor a enviar: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (this.options.json) {
+            console.log(JSON.stringify({ ...required, source: exchangeData.source }, null, 2));
+            return;
+        }
+
+        console.log(boxManager.createConversionResultBox(...this.getRequiredBoxArgs(required, exchangeData.source)));
+    }
+
+    /**
+     * 📦 Monta os argumentos do box de resultado do valor a enviar
+     * @param {Object} required - Resultado de converter.calculateRequired()
+     * @param {string} source - Fonte da cotação
+     * @returns {Array} from, to, rate, direction, source e details
+     * @private
+     */
+    getRequiredBoxArgs(required, source) {
+        return [
+            converter.formatCurrency(required.breakdown.total, required.to),
+            converter.formatCurrency(required.target, required.from),
+            converter.formatRate(required.targetRate),
+            `${required.to} → ${required.from} (quanto enviar)`,
+            source,
+            boxManager.getRequiredLines(required, converter)
+        ];
+    }
+
+    /**
+     * 🧮 Calcula uma expressão com moedas (não interativo)
+     * @param {string} expression - Expressão (ex: "100 USD + 250 BRL in USD")
+     * @returns {Promise<void>}
+     */
+    async calcMode(expression) {
+        if (!expression.trim()) {
+            logger.error('Uso: ravc calc "<expressão>" (ex: ravc calc "100 USD + 250 BRL in USD")');
+            process.exitCode = 1;
+            return;
+        }
+
+        let calculation;
+        try {
+            calculation = await calculator.calculate(expression);
+        } catch (error) {
+            // 🚫 Sem cotação confiável: deixa o index encerrar com código 3
+            if (error.code === 'ENOQUOTE') throw error;
+            logger.error(`Erro no cálculo: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (this.options.json) {
+            console.log(JSON.stringify(calculation, null, 2));
+            return;
+        }
+
+        console.log(boxManager.createConversionResultBox(...this.getCalculationBoxArgs(calculation)));
+    }
+
+    /**
+     * 📂 Converte uma coluna de um arquivo CSV ou JSON lines (não interativo)
+     * @param {string} filePath - Arquivo de entrada
+     * @returns {Promise<void>}
+     */
+    async convertFileMode(filePath) {
+        if (!filePath || !this.options.column || this.options.output === true) {
+            logger.error('Uso: ravc convert-file <arquivo> --column <coluna> [--from USD] [--to BRL] [--date-column <coluna>] [--output <arquivo>]');
+            process.exitCode = 1;
+            return;
+        }
+
+        let result;
+        try {
+            result = await fileConverter.convertFile(filePath, {
+                column: this.options.column,
+                from: this.options.from,
+                to: this.options.to,
+                dateColumn: this.options.dateColumn
+            });
+
+            const content = `${fileConverter.format(result)}\n`;
+            if (this.options.output) {
+                fs.writeFileSync(this.options.output, content, 'utf8');
+                logger.success(`${result.converted} linhas convertidas em ${this.options.output}`);
+            } else {
+                process.stdout.write(content);
+            }
+        } catch (error) {
+            // 🚫 Sem cotação confiável: deixa o index encerrar com código 3
+            if (error.code === 'ENOQUOTE') throw error;
+            logger.error(`Erro na conversão do arquivo: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (result.failed > 0) {
+            logger.error(`${result.failed} ${result.failed === 1 ? 'linha' : 'linhas'} com erro (veja a coluna error)`);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * 🩺 Diagnostica as fontes (não interativo)
+     * @returns {Promise<void>}
+     */
+    async showDoctor() {
+        try {
+            logger.info('Diagnosticando fontes...');
+            const report = await doctor.run(scraper.pair);
+
+            console.log(this.options.json ? doctor.toJSON(report) : doctor.toTable(report));
+
+            if (!report.ok) {
+                process.exitCode = 1;
+            }
+        } catch (error) {
+            logger.error(`Erro no diagnóstico: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+
     /**
      * 🎪 Mostra menu principal interativo
      * @returns {Promise<void>}
@@ -143,6 +596,7 @@ class UI {
 
         while (true) {
             try {
+                const { base, quote } = pairs.parse(scraper.pair);
                 const { action } = await inquirer.prompt([
                     {
                         type: 'list',
@@ -151,20 +605,45 @@ class UI {
                         message: colors.accent('🎯 SELECIONE UMA OPÇÃO'),
                         choices: [
                             {
-                                name: '💰  Converter USD → BRL',
-                                value: 'usd_to_brl',
-                                short: 'USD/BRL'
+                                name: `💰  Converter ${base} → ${quote}`,
+                                value: 'base_to_quote',
+                                short: `${base}/${quote}`
+                            },
+                            {
+                                name: `💵  Converter ${quote} → ${base}`,
+                                value: 'quote_to_base',
+                                short: `${quote}/${base}`
                             },
                             {
-                                name: '💵  Converter BRL → USD',
-                                value: 'brl_to_usd',
-                                short: 'BRL/USD'
+                                name: '🧾  Custo Efetivo (IOF + spread)',
+                                value: 'effective_cost',
+                                short: 'Custo'
+                            },
+                            {
+                                name: '🎯  Quanto Enviar (valor exato no destino)',
+                                value: 'required_amount',
+                                short: 'Quanto enviar'
+                            },
+                            {
+                                name: '🏛️  Taxa Fiscal (Receita Federal)',
+                                value: 'fiscal_rate',
+                                short: 'Fiscal'
+                            },
+                            {
+                                name: '🧮  Calculadora',
+                                value: 'calculator',
+                                short: 'Calculadora'
                             },
                             {
                                 name: '🔄  Atualizar Cotação',
                                 value: 'refresh',
                                 short: 'Atualizar'
                             },
+                            {
+                                name: `🌍  Trocar Par (${pairs.label(scraper.pair)})`,
+                                value: 'change_pair',
+                                short: 'Par'
+                            },
                             {
                                 name: '🔁  Atualização Contínua',
                                 value: 'continuous_update',
@@ -192,7 +671,7 @@ class UI {
                                 short: 'Sair'
                             }
                         ],
-                        pageSize: 14,
+                        pageSize: 16,
                         loop: false
                     }
                 ]);
@@ -214,27 +693,63 @@ class UI {
      */
     async handleMenuAction(action) {
         switch (action) {
-            case 'usd_to_brl':
-                await this.convertUSDtoBRL(this.currentExchangeData.rate, this.currentExchangeData);
+            case 'base_to_quote':
+                await this.convertBaseToQuote(converter.getSideRate(this.currentExchangeData, 'sell'), this.currentExchangeData);
+                // 🧹 Limpa e volta ao menu após conversão
+                console.clear();
+                this.showWelcome();
+                this.showRateBox(this.currentExchangeData);
+                break;
+            case 'quote_to_base':
+                await this.convertQuoteToBase(converter.getSideRate(this.currentExchangeData, 'buy'), this.currentExchangeData);
+                // 🧹 Limpa e volta ao menu após conversão
+                console.clear();
+                this.showWelcome();
+                this.showRateBox(this.currentExchangeData);
+                break;
+            case 'effective_cost':
+                await this.convertWithCost(converter.getSideRate(this.currentExchangeData, 'buy'), this.currentExchangeData);
+                // 🧹 Limpa e volta ao menu após conversão
+                console.clear();
+                this.showWelcome();
+                this.showRateBox(this.currentExchangeData);
+                break;
+            case 'required_amount':
+                await this.convertWithRequired(converter.getSideRate(this.currentExchangeData, 'buy'), this.currentExchangeData);
                 // 🧹 Limpa e volta ao menu após conversão
                 console.clear();
                 this.showWelcome();
                 this.showRateBox(this.currentExchangeData);
                 break;
-            case 'brl_to_usd':
-                await this.convertBRLtoUSD(this.currentExchangeData.rate, this.currentExchangeData);
+            case 'fiscal_rate':
+                await this.convertWithFiscalRate(this.currentExchangeData);
                 // 🧹 Limpa e volta ao menu após conversão
                 console.clear();
                 this.showWelcome();
                 this.showRateBox(this.currentExchangeData);
                 break;
+            case 'calculator':
+                await this.showCalculator();
+                // 🧹 Limpa e volta ao menu após o cálculo
+                console.clear();
+                this.showWelcome();
+                this.showRateBox(this.currentExchangeData);
+                break;
             case 'refresh':
-                this.currentExchangeData = await this.fetchExchangeRate();
+                // 🔄 Atualização pedida: ignora o cache, como o --refresh
+                this.currentExchangeData = await this.fetchExchangeRate({ forceRefresh: true });
                 // 🧹 Limpa e mostra dados atualizados
                 console.clear();
                 this.showWelcome();
                 this.showRateBox(this.currentExchangeData);
                 break;
+            case 'change_pair':
+                await this.showPairPicker();
+                // 🧹 Limpa e mostra a cotação do par escolhido
+                console.clear();
+                this.showWelcome();
+                this.showRateBox(this.currentExchangeData);
+                break;
             case 'continuous_update':
                 await this.showContinuousUpdateMenu();
                 break;
@@ -263,6 +778,49 @@ class UI {
         }
     }
 
+    /**
+     * 🌍 Mostra seletor de par e busca a cotação do par escolhido
+     * @returns {Promise<void>}
+     */
+    async showPairPicker() {
+        const { pair } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'pair',
+                prefix: '',
+                message: colors.accent('🌍 PAR DE MOEDAS'),
+                choices: [
+                    ...pairs.list().map(id => ({
+                        name: `${id === scraper.pair ? '●' : '○'} ${pairs.label(id)}  ${colors.muted(pairs.getCurrency(pairs.parse(id).base).name)}`,
+                        value: id,
+                        short: pairs.label(id)
+                    })),
+                    {
+                        name: '↩️  Voltar',
+                        value: 'back'
+                    }
+                ],
+                default: scraper.pair,
+                loop: false
+            }
+        ]);
+
+        if (pair === 'back' || pair === scraper.pair) return;
+
+        const previousPair = scraper.pair;
+        try {
+            scraper.setPair(pair);
+            this.currentExchangeData = await this.fetchExchangeRate();
+            logger.info(`Par alterado para ${pairs.label(pair)}`);
+        } catch (error) {
+            // ↩️ Sem cotação do novo par, mantém o par e a cotação anteriores
+            scraper.setPair(previousPair);
+            logger.error(`Erro ao trocar para ${pair}:`, error.message);
+            this.showError(`❌ Não foi possível cotar ${pairs.label(pair)}: ${error.message}`);
+            await this.delay(3000);
+        }
+    }
+
     /**
      * 📂 Abre a pasta de logs
      * @returns {Promise<void>}
@@ -753,7 +1311,7 @@ class UI {
             }
         ]);
 
-        this.updater.stopContinuousUpdate();
+        await this.updater.stopContinuousUpdate();
 
         // 🧹 Limpa e mostra mensagem de sucesso
         console.clear();
@@ -811,6 +1369,7 @@ class UI {
      * @returns {Promise<Object>} Resultado da ação
      */
     async showConversionMenu() {
+        const { base, quote } = pairs.parse(scraper.pair);
         const { direction } = await inquirer.prompt([
             {
                 type: 'list',
@@ -819,12 +1378,20 @@ class UI {
                 message: colors.accent('🔄 DIREÇÃO DA CONVERSÃO'),
                 choices: [
                     {
-                        name: '💵 USD → BRL',
-                        value: 'usd_to_brl'
+                        name: `💵 ${base} → ${quote}`,
+                        value: 'base_to_quote'
+                    },
+                    {
+                        name: `💰 ${quote} → ${base}`,
+                        value: 'quote_to_base'
+                    },
+                    {
+                        name: `🧾 Custo efetivo de ${base} (IOF + spread)`,
+                        value: 'cost'
                     },
                     {
-                        name: '💰 BRL → USD',
-                        value: 'brl_to_usd'
+                        name: `🎯 Quanto enviar para chegar um valor exato em ${base}`,
+                        value: 'required'
                     },
                     {
                         name: '↩️  Voltar',
@@ -837,91 +1404,384 @@ class UI {
 
         if (direction === 'back') return { action: 'back' };
 
-        if (direction === 'usd_to_brl') {
-            return await this.convertUSDtoBRL(this.currentExchangeData.rate, this.currentExchangeData);
+        if (direction === 'base_to_quote') {
+            return await this.convertBaseToQuote(converter.getSideRate(this.currentExchangeData, 'sell'), this.currentExchangeData);
+        } else if (direction === 'cost') {
+            return await this.convertWithCost(converter.getSideRate(this.currentExchangeData, 'buy'), this.currentExchangeData);
+        } else if (direction === 'required') {
+            return await this.convertWithRequired(converter.getSideRate(this.currentExchangeData, 'buy'), this.currentExchangeData);
         } else {
-            return await this.convertBRLtoUSD(this.currentExchangeData.rate, this.currentExchangeData);
+            return await this.convertQuoteToBase(converter.getSideRate(this.currentExchangeData, 'buy'), this.currentExchangeData);
         }
     }
 
     /**
-     * 💵 Converte USD para BRL
-     * @param {number} exchangeRate - Taxa de câmbio
+     * 💵 Converte da moeda base para a cotada (ex: USD → BRL), com a cotação atual ou a PTAX de uma data
+     * @param {number} exchangeRate - Taxa de câmbio (lado de compra/bid: o usuário vende a moeda base)
      * @param {Object} exchangeData - Dados da cotação
      * @returns {Promise<Object>} Resultado da conversão
      */
-    async convertUSDtoBRL(exchangeRate, exchangeData) {
+    async convertBaseToQuote(exchangeRate, exchangeData) {
+        const pair = exchangeData?.pair || scraper.pair;
+        const { base, quote } = pairs.parse(pair);
+
         try {
-            const { amount } = await inquirer.prompt([
+            const { amount, date } = await inquirer.prompt([
                 {
                     type: 'input',
                     name: 'amount',
                     prefix: '',
-                    message: colors.usd('💵 Quantos dólares (USD) quer converter?'),
+                    message: colors.usd(`💵 Quanto em ${base} quer converter?`),
                     validate: input => {
-                        const validation = converter.validateAmount(input);
+                        const validation = converter.validateAmount(input, base);
                         return validation.isValid || validation.error;
-                    },
-                    filter: input => input.replace(',', '.')
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'date',
+                    prefix: '',
+                    message: colors.text('📅 Data da PTAX (Enter para a cotação atual, ou AAAA-MM-DD)'),
+                    validate: input => this.validatePtaxDate(input)
                 }
             ]);
 
-            const validation = converter.validateAmount(amount);
-            const usdAmount = validation.value;
-            const brlAmount = converter.convert(usdAmount, 'USD', 'BRL', exchangeRate);
+            const validation = converter.validateAmount(amount, base);
+            if (date.trim()) {
+                const { conversion, requestedDate } = await this.convertAtDate(validation.exact, base, quote, date);
+                return await this.showConversionResult(...this.getConversionBoxArgs(conversion, requestedDate));
+            }
+
+            const baseAmount = validation.value;
+            const quoteAmount = converter.convert(validation.exact, base, quote, exchangeRate, pair);
 
             return await this.showConversionResult(
-                converter.formatCurrency(usdAmount, 'USD'),
-                converter.formatCurrency(brlAmount, 'BRL'),
+                converter.formatCurrency(baseAmount, base),
+                converter.formatCurrency(quoteAmount, quote),
                 converter.formatRate(exchangeRate),
-                'USD → BRL',
+                `${base} → ${quote}`,
                 exchangeData?.source || 'Banco Central (Backup)'
             );
         } catch (error) {
-            logger.error('Erro na conversão USD para BRL:', error);
+            logger.error(`Erro na conversão ${base} para ${quote}:`, error);
             throw error;
         }
     }
 
     /**
-     * 💰 Converte BRL para USD
-     * @param {number} exchangeRate - Taxa de câmbio
+     * 💰 Converte da moeda cotada para a base (ex: BRL → USD), com a cotação atual ou a PTAX de uma data
+     * @param {number} exchangeRate - Taxa de câmbio (lado de venda/ask: o usuário compra a moeda base)
      * @param {Object} exchangeData - Dados da cotação
      * @returns {Promise<Object>} Resultado da conversão
      */
-    async convertBRLtoUSD(exchangeRate, exchangeData) {
+    async convertQuoteToBase(exchangeRate, exchangeData) {
+        const pair = exchangeData?.pair || scraper.pair;
+        const { base, quote } = pairs.parse(pair);
+
         try {
-            const { amount } = await inquirer.prompt([
+            const { amount, date } = await inquirer.prompt([
                 {
                     type: 'input',
                     name: 'amount',
                     prefix: '',
-                    message: colors.brl('💵 Quantos reais (BRL) quer converter?'),
+                    message: colors.brl(`💵 Quanto em ${quote} quer converter?`),
                     validate: input => {
-                        const validation = converter.validateAmount(input);
+                        const validation = converter.validateAmount(input, quote);
                         return validation.isValid || validation.error;
-                    },
-                    filter: input => input.replace(',', '.')
+                    }
+                },
+                {
+                    type: 'input',
+                    name: 'date',
+                    prefix: '',
+                    message: colors.text('📅 Data da PTAX (Enter para a cotação atual, ou AAAA-MM-DD)'),
+                    validate: input => this.validatePtaxDate(input)
                 }
             ]);
 
-            const validation = converter.validateAmount(amount);
-            const brlAmount = validation.value;
-            const usdAmount = converter.convert(brlAmount, 'BRL', 'USD', exchangeRate);
+            const validation = converter.validateAmount(amount, quote);
+            if (date.trim()) {
+                const { conversion, requestedDate } = await this.convertAtDate(validation.exact, quote, base, date);
+                return await this.showConversionResult(...this.getConversionBoxArgs(conversion, requestedDate));
+            }
+
+            const quoteAmount = validation.value;
+            const baseAmount = converter.convert(validation.exact, quote, base, exchangeRate, pair);
 
             return await this.showConversionResult(
-                converter.formatCurrency(brlAmount, 'BRL'),
-                converter.formatCurrency(usdAmount, 'USD'),
+                converter.formatCurrency(quoteAmount, quote),
+                converter.formatCurrency(baseAmount, base),
                 converter.formatRate(1 / exchangeRate),
-                'BRL → USD',
+                `${quote} → ${base}`,
                 exchangeData?.source || 'Banco Central (Backup)'
             );
         } catch (error) {
-            logger.error('Erro na conversão BRL para USD:', error);
+            logger.error(`Erro na conversão ${quote} para ${base}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 🧾 Calcula quanto custa comprar a moeda base com spread, IOF e tarifas
+     * @param {number} exchangeRate - Taxa de câmbio (lado de venda/ask: o usuário compra a moeda base)
+     * @param {Object} exchangeData - Dados da cotação
+     * @returns {Promise<Object>} Resultado da conversão
+     */
+    async convertWithCost(exchangeRate, exchangeData) {
+        const pair = exchangeData?.pair || scraper.pair;
+        const { base, quote } = pairs.parse(pair);
+
+        try {
+            const { amount } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'amount',
+                    prefix: '',
+                    message: colors.usd(`💵 Quanto em ${base} quer comprar?`),
+                    validate: input => {
+                        const validation = converter.validateAmount(input, base);
+                        return validation.isValid || validation.error;
+                    }
+                }
+            ]);
+            const costOptions = await this.promptCostOptions(base, quote);
+
+            const validation = converter.validateAmount(amount, base);
+            const cost = converter.calculateCost(validation.exact, exchangeRate, { ...costOptions, pair: pair });
+
+            return await this.showConversionResult(
+                converter.formatCurrency(cost.amount, base),
+                converter.formatCurrency(cost.breakdown.total, quote),
+                converter.formatRate(cost.totalRate),
+                `${base} → ${quote} (custo efetivo)`,
+                exchangeData?.source || 'Banco Central (Backup)',
+                boxManager.getCostLines(cost, converter)
+            );
+        } catch (error) {
+            logger.error('Erro no cálculo do custo efetivo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 🎯 Calcula quanto pagar na moeda cotada para o destinatário receber exatamente o valor na moeda base
+     * @param {number} exchangeRate - Taxa de câmbio (lado de venda/ask: o usuário compra a moeda base)
+     * @param {Object} exchangeData - Dados da cotação
+     * @returns {Promise<Object>} Resultado da conversão
+     */
+    async convertWithRequired(exchangeRate, exchangeData) {
+        const pair = exchangeData?.pair || scraper.pair;
+        const { base, quote } = pairs.parse(pair);
+
+        try {
+            const { amount } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'amount',
+                    prefix: '',
+                    message: colors.usd(`🎯 Quanto em ${base} deve chegar ao destinatário?`),
+                    validate: input => {
+                        const validation = converter.validateAmount(input, base);
+                        return validation.isValid || validation.error;
+                    }
+                }
+            ]);
+            const costOptions = await this.promptCostOptions(base, quote, true);
+
+            const validation = converter.validateAmount(amount, base);
+            const required = converter.calculateRequired(validation.exact, exchangeRate, { ...costOptions, pair: pair });
+
+            return await this.showConversionResult(
+                ...this.getRequiredBoxArgs(required, exchangeData?.source || 'Banco Central (Backup)')
+            );
+        } catch (error) {
+            logger.error('Erro no cálculo do valor a enviar:', error);
             throw error;
         }
     }
 
+    /**
+     * 🧾 Pergunta tipo de operação (IOF), spread e tarifas do custo efetivo (padrões em costs, no converter.json)
+     * @param {string} base - Moeda base (tarifa no exterior)
+     * @param {string} quote - Moeda cotada (tarifas fixas)
+     * @param {boolean} withForeignFee - Pergunta também a tarifa descontada no exterior
+     * @returns {Promise<Object>} preset, spreadPercent, fixedFee e foreignFee (se perguntada), em texto decimal exato
+     * @private
+     */
+    async promptCostOptions(base, quote, withForeignFee = false) {
+        const costs = converter.config.costs;
+        const validateCost = currency => input => {
+            const validation = this.validateCostValue(input, currency);
+            return validation.isValid || validation.error;
+        };
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'preset',
+                prefix: '',
+                message: colors.accent('🏛️ Tipo de operação (IOF)'),
+                choices: Object.entries(costs.iof).map(([id, preset]) => ({
+                    name: `${preset.label} ${colors.muted(`(IOF ${preset.percent}%)`)}`,
+                    value: id,
+                    short: preset.label
+                })),
+                default: costs.defaultPreset,
+                loop: false
+            },
+            {
+                type: 'input',
+                name: 'spreadPercent',
+                prefix: '',
+                message: colors.text('↔️ Spread do banco (%)'),
+                default: String(costs.spreadPercent),
+                validate: validateCost(null)
+            },
+            {
+                type: 'input',
+                name: 'fixedFee',
+                prefix: '',
+                message: colors.text(`🏦 Tarifas fixas (${quote})`),
+                default: String(costs.fixedFee),
+                validate: validateCost(quote)
+            },
+            ...(withForeignFee ? [{
+                type: 'input',
+                name: 'foreignFee',
+                prefix: '',
+                message: colors.text(`🌐 Tarifa descontada no exterior (${base})`),
+                default: String(costs.foreignFee),
+                validate: validateCost(base)
+            }] : [])
+        ]);
+
+        return {
+            preset: answers.preset,
+            spreadPercent: this.validateCostValue(answers.spreadPercent, null).exact,
+            fixedFee: this.validateCostValue(answers.fixedFee, quote).exact,
+            ...(withForeignFee ? { foreignFee: this.validateCostValue(answers.foreignFee, base).exact } : {})
+        };
+    }
+
+    /**
+     * 🏛️ Converte a moeda base para reais pela regra fiscal escolhida (carnê-leão, ganho de capital, bens)
+     * @param {Object} exchangeData - Dados da cotação
+     * @returns {Promise<Object>} Resultado da conversão
+     */
+    async convertWithFiscalRate(exchangeData) {
+        const { base } = pairs.parse(exchangeData?.pair || scraper.pair);
+        const fiscal = converter.config.fiscal;
+
+        try {
+            const answers = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'amount',
+                    prefix: '',
+                    message: colors.usd(`💵 Quanto em ${base}?`),
+                    validate: input => {
+                        const validation = converter.validateAmount(input, base);
+                        return validation.isValid || validation.error;
+                    }
+                },
+                {
+                    type: 'list',
+                    name: 'preset',
+                    prefix: '',
+                    message: colors.accent('🏛️ Regra da Receita'),
+                    choices: Object.entries(fiscal.presets).map(([id, preset]) => ({
+                        name: `${preset.label} ${colors.muted(`(${preset.rule})`)}`,
+                        value: id,
+                        short: preset.label
+                    })),
+                    default: fiscal.defaultPreset,
+                    loop: false
+                },
+                {
+                    type: 'input',
+                    name: 'date',
+                    prefix: '',
+                    message: colors.text('📅 Data do recebimento, pagamento ou alienação (Enter para hoje, ou AAAA-MM-DD)'),
+                    validate: input => {
+                        if (!input.trim()) return true;
+                        try {
+                            history.parseDate(input);
+                            return true;
+                        } catch (error) {
+                            return error.message;
+                        }
+                    }
+                }
+            ]);
+
+            const validation = converter.validateAmount(answers.amount, base);
+            const conversion = await this.convertAtFiscalRate(validation.exact, base, 'BRL', answers.preset, answers.date.trim() || null);
+            return await this.showConversionResult(...this.getConversionBoxArgs(conversion));
+        } catch (error) {
+            logger.error(`Erro na taxa fiscal: ${error.message}`);
+            await this.delay(2000);
+            return { action: 'back' };
+        }
+    }
+
+    /**
+     * 🧮 Calculadora: pede uma expressão e mostra o resultado até o usuário voltar ao menu
+     * @returns {Promise<void>}
+     */
+    async showCalculator() {
+        let nextAction = 'another';
+
+        while (nextAction === 'another') {
+            const { expression } = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'expression',
+                    prefix: '',
+                    message: colors.accent('🧮 Expressão (ex: 100 USD + 250 BRL in USD, 1500 USD - 10%, 100 * taxa)'),
+                    validate: input => {
+                        try {
+                            calculator.parse(input);
+                            return true;
+                        } catch (error) {
+                            return error.message;
+                        }
+                    }
+                }
+            ]);
+
+            try {
+                const calculation = await calculator.calculate(expression);
+                const result = await this.showConversionResult(...this.getCalculationBoxArgs(calculation));
+                nextAction = result.action;
+            } catch (error) {
+                logger.error(`Erro no cálculo: ${error.message}`);
+                await this.delay(2000);
+                nextAction = 'back';
+            }
+        }
+    }
+
+    /**
+     * 📦 Monta os argumentos do box de resultado para um cálculo
+     * @param {Object} calculation - Resultado de calculator.calculate()
+     * @returns {Array} from, to, rate, direction, source e details
+     * @private
+     */
+    getCalculationBoxArgs(calculation) {
+        const result = calculation.currency
+            ? converter.formatCurrency(calculation.result, calculation.currency)
+            : calculation.result.toLocaleString('pt-BR', { maximumFractionDigits: 6 });
+
+        return [
+            calculation.expression,
+            result,
+            null,
+            calculation.currency ? `Resultado em ${calculation.currency}` : 'Resultado',
+            calculation.sources.join(' + ') || 'Sem cotação (só aritmética)',
+            boxManager.getCalculationLines(calculation, converter)
+        ];
+    }
+
     /**
      * 📊 Mostra resultado da conversão
      * @param {string} from - Valor de origem formatado
@@ -929,11 +1789,12 @@ class UI {
      * @param {string} rate - Taxa utilizada
      * @param {string} direction - Direção da conversão
      * @param {string} source - Fonte dos dados
+     * @param {Array<string>} details - Linhas extras do box (ex: breakdown do custo efetivo)
      * @returns {Promise<Object>} Próxima ação
      */
-    async showConversionResult(from, to, rate, direction, source) {
+    async showConversionResult(from, to, rate, direction, source, details = []) {
         try {
-            console.log(boxManager.createConversionResultBox(from, to, rate, direction, source));
+            console.log(boxManager.createConversionResultBox(from, to, rate, direction, source, details));
 
             const { nextAction } = await inquirer.prompt([
                 {
@@ -994,8 +1855,7 @@ class UI {
         const sessionNumber = sessionInfo.sessionNumber || 1;
 
         // 💰 Usa o mesmo formato do box principal
-        const rateFormatted = converter.formatCurrency(1, 'USD') + ' = ' +
-            converter.formatCurrency(exchangeData.rate, 'BRL');
+        const rateFormatted = converter.formatQuote(exchangeData.rate, exchangeData.pair);
 
         // 📊 Usa os dados exatos do scraper (mesmo do box)
         const variation = exchangeData.variation;
@@ -1036,6 +1896,9 @@ class UI {
             colors.dim(`📅${dateFormatted} 🕒${timeFormatted}`),
             colors.text(`💵 ${rateFormatted}`),
             directionColor(`${symbol} ${variation.percent} ${changeText}`),
+            ...(exchangeData.spread !== null && exchangeData.spread !== undefined ? [
+                colors.muted(`↔️ Compra ${exchangeData.bid.toFixed(4)} | Venda ${exchangeData.ask.toFixed(4)} | Spread ${exchangeData.spread.toFixed(4)}`)
+            ] : []),
             '' // 📄 Linha em branco para separação
         ].join('\n');
 
@@ -1070,16 +1933,17 @@ class UI {
 
     /**
      * 🌐 Busca cotação atual
+     * @param {Object} options - Opções da busca ({ forceRefresh: ignora o cache mesmo sem --refresh })
      * @returns {Promise<Object>} Dados da cotação
+     * @throws {Error} ENOQUOTE se todas as fontes falharem sem último valor conhecido válido
      */
-    async fetchExchangeRate() {
-        try {
-            logger.update('Buscando cotação...');
-            return await scraper.getExchangeRate();
-        } catch (error) {
-            logger.error('Erro ao buscar cotação:', error);
-            return scraper.createFallbackData();
-        }
+    async fetchExchangeRate(options = {}) {
+        logger.update('Buscando cotação...');
+        // 🚫 O scraper já recorre ao último valor conhecido; sem ele, o ENOQUOTE segue até o index (código 3)
+        return scraper.getExchangeRate({
+            forceRefresh: Boolean(options.forceRefresh || this.options.refresh),
+            staleWhileRevalidate: this.options.swr ? true : undefined
+        });
     }
 
     /**
@@ -1111,6 +1975,18 @@ class UI {
         console.log(boxManager.createErrorBox(errorMessage));
     }
 
+    /**
+     * 📅 Calcula data N dias antes
+     * @param {Date} date - Data de referência
+     * @param {number} days - Quantidade de dias
+     * @returns {Date} Nova data
+     */
+    daysBefore(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() - days);
+        return result;
+    }
+
     /**
      * ⏳ Delay assíncrono
      * @param {number} ms - Milissegundos
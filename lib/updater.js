@@ -1,4 +1,5 @@
 const logger = require('./utils/logger');
+const browserPool = require('./utils/browserPool');
 const fs = require('fs');
 const path = require('path');
 
@@ -22,6 +23,7 @@ class Updater {
         this.history = [];
         this.logsDir = path.join(process.cwd(), 'logs');
         this.previousRate = null;
+        this.previousPair = null;
         this.currentSessionNumber = null;
         this.ensureLogsDirectory();
     }
@@ -51,6 +53,9 @@ class Updater {
         this.isUpdating = true;
         const intervalMs = intervalMinutes * 60 * 1000;
 
+        // ♨️ Mantém o navegador aquecido entre as atualizações
+        browserPool.setKeepAlive(true);
+
         // 🆕 Inicia nova sessão
         this.currentSessionNumber = logger.startUpdateSession();
 
@@ -67,6 +72,7 @@ class Updater {
 
     /**
      * ⏹️ Para atualização contínua
+     * @returns {Promise<void>} Resolvida quando o navegador é liberado
      */
     stopContinuousUpdate() {
         if (this.updateInterval) {
@@ -84,6 +90,9 @@ class Updater {
 
         // 🧹 Limpa a tela ao finalizar
         console.clear();
+
+        // 🌐 Libera o navegador mantido entre atualizações
+        return browserPool.setKeepAlive(false);
     }
 
     /**
@@ -94,7 +103,14 @@ class Updater {
     async performUpdate(onUpdate = null) {
         try {
             logger.update('Buscando atualização de cotação...');
-            const exchangeData = await this.scraper.getExchangeRate();
+            // 💾 Monitoramento sempre consulta as fontes (e alimenta o cache)
+            const exchangeData = await this.scraper.getExchangeRate({ forceRefresh: true });
+
+            // 🌍 Troca de par: a taxa anterior era de outro par e não serve de referência
+            if (exchangeData.pair !== this.previousPair) {
+                this.previousRate = null;
+                this.previousPair = exchangeData.pair;
+            }
 
             // 📊 Usa os dados exatos do scraper sem recálculos conflitantes
             const variationInfo = this.getVariationFromData(exchangeData);
@@ -181,7 +197,11 @@ class Updater {
     recordHistory(exchangeData) {
         const historyEntry = {
             timestamp: new Date().toISOString(),
+            pair: exchangeData.pair,
             rate: exchangeData.rate,
+            bid: exchangeData.bid ?? null,
+            ask: exchangeData.ask ?? null,
+            spread: exchangeData.spread ?? null,
             source: exchangeData.source,
             variation: exchangeData.variation,
             direction: exchangeData.variationDirection,
@@ -214,15 +234,7 @@ class Updater {
             const timeFormatted = now.toLocaleTimeString('pt-BR');
 
             // 💰 Formata moedas SEM CORES - texto puro
-            const usdFormatted = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD'
-            }).format(1);
-
-            const brlFormatted = new Intl.NumberFormat('pt-BR', {
-                style: 'currency',
-                currency: 'BRL'
-            }).format(exchangeData.rate);
+            const quoteFormatted = this.converter.formatQuote(exchangeData.rate, exchangeData.pair, false);
 
             // 🎯 Determina símbolo colorido baseado na direção (apenas emoji, sem cores chalk)
             let coloredSymbol;
@@ -249,8 +261,11 @@ class Updater {
                 `📡 ${exchangeData.source} (Sessão #${this.currentSessionNumber} - Atualização #${updateNumber})`,
                 '─'.repeat(45),
                 `📅${dateFormatted} 🕒${timeFormatted}`,
-                `💵 ${usdFormatted} = ${brlFormatted}`,
+                `💵 ${quoteFormatted}`,
                 `${coloredSymbol} ${exchangeData.variation.percent} ${changeText}`,
+                ...(exchangeData.spread !== null && exchangeData.spread !== undefined ? [
+                    `↔️ Compra ${exchangeData.bid.toFixed(4)} | Venda ${exchangeData.ask.toFixed(4)} | Spread ${exchangeData.spread.toFixed(4)}`
+                ] : []),
                 '' // 📄 Linha em branco para separação
             ].join('\n');
 
@@ -275,7 +290,12 @@ class Updater {
 
             const logEntry = {
                 timestamp: new Date().toISOString(),
+                pair: exchangeData.pair,
                 rate: exchangeData.rate,
+                bid: exchangeData.bid ?? null,
+                ask: exchangeData.ask ?? null,
+                spread: exchangeData.spread ?? null,
+                spreadPercent: exchangeData.spreadPercent ?? null,
                 source: exchangeData.source,
                 variation: exchangeData.variation,
                 direction: exchangeData.variationDirection,
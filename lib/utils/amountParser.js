@@ -0,0 +1,261 @@
+const pairsConfig = require('../config/pairs.json');
+const Decimal = require('./decimal');
+
+/**
+ * 🔤 Leitor de Valores Digitados
+ * @class AmountParser
+ * @description Entende valores em pt-BR e en-US ("1.234,56", "1,234.56"), moedas ("US$ 50", "50 usd"),
+ * sufixos ("1,5k", "2mi") e contas simples ("120+35,90")
+ */
+class AmountParser {
+    /**
+     * 🏗️ Construtor da classe AmountParser
+     * @constructor
+     */
+    constructor() {
+        // 🔤 decimal: separador decimal de quem escreve assim ("US$ 1.000" é notação brasileira: mil dólares)
+        this.symbols = [
+            { symbol: 'US$', currency: 'USD', decimal: ',' },
+            { symbol: 'U$', currency: 'USD', decimal: ',' },
+            { symbol: 'R$', currency: 'BRL', decimal: ',' },
+            { symbol: '€', currency: 'EUR', decimal: ',' },
+            { symbol: '£', currency: 'GBP', decimal: '.' },
+            { symbol: '$', currency: null, decimal: null }
+        ];
+        this.suffixes = {
+            k: '1000',
+            mil: '1000',
+            mi: '1000000',
+            bi: '1000000000'
+        };
+        this.divisionScale = 12;
+    }
+
+    /**
+     * 🔤 Interpreta o valor digitado
+     * @param {string|number} input - Texto digitado (ex: "R$ 1.234,56", "1,5k", "120+35,90")
+     * @param {Object} options - Opções ({ decimal: separador decimal a assumir quando o texto não tiver símbolo })
+     * @returns {Object} value (Decimal) e currency (moeda informada no texto ou null)
+     * @throws {Error} Com o motivo, se o valor for inválido ou ambíguo
+     */
+    parse(input, options = {}) {
+        const text = String(input ?? '').trim();
+        if (!text) {
+            throw new Error('❌ Digite um valor');
+        }
+
+        const { expression, currency, decimal } = this.extractCurrency(text);
+        const tokens = this.tokenize(expression.replace(/\s+/g, ''), decimal || options.decimal || null);
+
+        return {
+            value: this.evaluate(tokens, text),
+            currency: currency
+        };
+    }
+
+    /**
+     * 💱 Separa símbolo ou código de moeda do valor
+     * @param {string} text - Texto digitado
+     * @returns {Object} expression (texto sem a moeda), currency e decimal (separador indicado pelo símbolo)
+     * @private
+     */
+    extractCurrency(text) {
+        let expression = text;
+        let decimal = null;
+        const found = new Set();
+
+        for (const { symbol, currency, decimal: notation } of this.symbols) {
+            if (expression.includes(symbol)) {
+                expression = expression.split(symbol).join(' ');
+                if (currency) found.add(currency);
+                decimal = decimal || notation;
+            }
+        }
+
+        expression = expression.replace(/[a-z]{3}/gi, word => {
+            const code = word.toUpperCase();
+            if (!pairsConfig.currencies[code]) {
+                return word;
+            }
+            found.add(code);
+            return ' ';
+        });
+
+        if (found.size > 1) {
+            throw new Error(`❌ Mais de uma moeda no valor (${[...found].join(', ')}); converta cada uma separadamente`);
+        }
+
+        return { expression, currency: found.size === 1 ? [...found][0] : null, decimal };
+    }
+
+    /**
+     * ✂️ Quebra a expressão em números e operadores
+     * @param {string} expression - Expressão sem espaços e sem moeda
+     * @param {string|null} decimal - Separador decimal indicado pelo símbolo (resolve "1.000" e "1,000")
+     * @returns {Array<Decimal|string>} Números e operadores, alternados
+     * @private
+     */
+    tokenize(expression, decimal) {
+        const tokens = [];
+        const pattern = /^(?:([\d.,]+)(k|mil|mi|bi)?|([+\-*/x×]))/i;
+        let rest = expression;
+
+        while (rest) {
+            const match = rest.match(pattern);
+            if (!match) {
+                throw new Error(`❌ Não entendi "${rest}" no valor`);
+            }
+
+            if (match[1]) {
+                let number = this.parseNumber(match[1], decimal);
+                if (match[2]) {
+                    number = number.times(this.suffixes[match[2].toLowerCase()]);
+                }
+                tokens.push(number);
+            } else {
+                tokens.push(match[3].replace(/[x×]/i, '*'));
+            }
+
+            rest = rest.slice(match[0].length);
+        }
+
+        if (tokens.length === 0) {
+            throw new Error('❌ Digite um valor');
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 🔢 Interpreta um número com separadores de milhar e decimal
+     * @param {string} text - Número (ex: "1.234,56", "1,234.56", "35,90")
+     * @param {string|null} decimal - Separador decimal indicado pelo símbolo da moeda
+     * @returns {Decimal} Número exato
+     * @private
+     */
+    parseNumber(text, decimal) {
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+
+        // 🔢 Sem separador
+        if (lastDot < 0 && lastComma < 0) {
+            return Decimal.from(text);
+        }
+
+        // 🔢 Os dois separadores: o último é o decimal
+        if (lastDot >= 0 && lastComma >= 0) {
+            const decimal = lastDot > lastComma ? '.' : ',';
+            const grouping = decimal === '.' ? ',' : '.';
+            return this.fromParts(text, grouping, decimal);
+        }
+
+        const separator = lastDot >= 0 ? '.' : ',';
+        const parts = text.split(separator);
+
+        // 🔢 Separador repetido só pode ser de milhar (1.234.567 ou 1,234,567)
+        if (parts.length > 2) {
+            return this.fromParts(text, separator, null);
+        }
+
+        // 🤔 "1.000" e "1,000": milhar ou decimal? Decide pelo símbolo da moeda ou pede para desambiguar
+        const [integer, fraction] = parts;
+        if (fraction.length === 3 && /^[1-9]\d{0,2}$/.test(integer)) {
+            if (!decimal) {
+                throw new Error(`❌ Valor ambíguo: "${text}". Use ${integer}${fraction} (milhar) ` +
+                    `ou ${integer}${separator === '.' ? ',' : '.'}${fraction} (decimal), ou use o símbolo da moeda (ex: R$ ${text})`);
+            }
+            return separator === decimal
+                ? this.fromParts(text, null, separator)
+                : this.fromParts(text, separator, null);
+        }
+
+        return this.fromParts(text, null, separator);
+    }
+
+    /**
+     * 🧩 Monta o número validando os grupos de milhar
+     * @param {string} text - Número
+     * @param {string|null} grouping - Separador de milhar
+     * @param {string|null} decimal - Separador decimal
+     * @returns {Decimal} Número exato
+     * @private
+     */
+    fromParts(text, grouping, decimal) {
+        let integer = text;
+        let fraction = '';
+
+        if (decimal) {
+            const index = text.lastIndexOf(decimal);
+            integer = text.slice(0, index);
+            fraction = text.slice(index + 1);
+        }
+
+        if (grouping) {
+            const groups = integer.split(grouping);
+            const valid = /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(group => /^\d{3}$/.test(group));
+            if (!valid) {
+                throw new Error(`❌ Separador de milhar inválido em "${text}"`);
+            }
+            integer = groups.join('');
+        }
+
+        if (!/^\d*$/.test(integer) || !/^\d*$/.test(fraction) || (!integer && !fraction)) {
+            throw new Error(`❌ Número inválido: "${text}"`);
+        }
+
+        return Decimal.from(`${integer || '0'}.${fraction || '0'}`);
+    }
+
+    /**
+     * 🧮 Calcula a expressão (× e ÷ antes de + e −)
+     * @param {Array<Decimal|string>} tokens - Números e operadores
+     * @param {string} text - Texto original (para mensagens)
+     * @returns {Decimal} Resultado
+     * @private
+     */
+    evaluate(tokens, text) {
+        const items = [...tokens];
+
+        // ➖ Sinal no início (ex: "-10") vira "0 - 10"
+        if (items[0] === '-' || items[0] === '+') {
+            items.unshift(Decimal.from(0));
+        }
+
+        for (let i = 0; i < items.length; i++) {
+            const expectsNumber = i % 2 === 0;
+            if (expectsNumber !== (items[i] instanceof Decimal)) {
+                throw new Error(`❌ Conta incompleta em "${text}"`);
+            }
+        }
+        if (items.length % 2 === 0) {
+            throw new Error(`❌ Conta incompleta em "${text}"`);
+        }
+
+        // ✖️ Multiplicações e divisões
+        const terms = [items[0]];
+        for (let i = 1; i < items.length; i += 2) {
+            const operator = items[i];
+            const operand = items[i + 1];
+
+            if (operator === '*' || operator === '/') {
+                const left = terms.pop();
+                if (operator === '/' && operand.compare(0) === 0) {
+                    throw new Error(`❌ Divisão por zero em "${text}"`);
+                }
+                terms.push(operator === '*' ? left.times(operand) : left.dividedBy(operand, this.divisionScale));
+            } else {
+                terms.push(operator, operand);
+            }
+        }
+
+        // ➕ Somas e subtrações
+        let result = terms[0];
+        for (let i = 1; i < terms.length; i += 2) {
+            result = terms[i] === '+' ? result.plus(terms[i + 1]) : result.minus(terms[i + 1]);
+        }
+
+        return result;
+    }
+}
+
+module.exports = new AmountParser();
@@ -1,6 +1,8 @@
 const { colors, theme } = require('../config/colors');
 const packageInfo = require('./packageInfo');
 const logger = require('./logger');
+const calendar = require('../calendar');
+const pairs = require('../pairs');
 
 /**
  * 🎪 Gerenciador de Boxes Visuais
@@ -153,6 +155,7 @@ class BoxManager {
     createRateBox(exchangeData, converter) {
         try {
             const { rate, variation, source } = exchangeData;
+            const pair = exchangeData.pair || pairs.getDefault();
             const directionConfig = this.getDirectionConfig(variation.direction);
             const dollarBorder = {
                 topLeft: '$', topRight: '$',
@@ -160,15 +163,29 @@ class BoxManager {
                 horizontal: '-', vertical: '$'
             };
             const rateContent = [
-                colors.title('💵 COTAÇÃO USD/BRL'),
+                colors.title(`💵 COTAÇÃO ${pairs.label(pair)}`),
                 colors.muted('─'.repeat(35)),
                 '',
-                colors.text(`${converter.formatCurrency(1, 'USD')} = ${converter.formatCurrency(rate, 'BRL')}`),
+                colors.text(converter.formatQuote(rate, pair)),
                 directionConfig.color(`${directionConfig.symbol} ${variation.percent} (${variation.value})`),
+                ...(exchangeData.spread !== null && exchangeData.spread !== undefined
+                    ? this.getQuoteSidesLines(exchangeData)
+                    : []),
                 '',
                 colors.muted(`🕒 ${variation.timestamp}`),
                 '',
-                colors.text(`📡 Fonte: ${colors.info(source)}`)
+                colors.text(`📡 Fonte: ${colors.info(source)}`),
+                ...(exchangeData.referenceDate ? [
+                    colors.muted(`📅 PTAX de ${calendar.formatReference(exchangeData.referenceDate)}`)
+                ] : []),
+                ...(exchangeData.consensus ? this.getConsensusLines(exchangeData.consensus) : []),
+                ...(exchangeData.bulletins ? this.getBulletinLines(exchangeData.bulletins) : []),
+                ...(exchangeData.lastKnownGood ? [
+                    colors.warning(`⚠️ Último valor conhecido, há ${logger.formatDuration(exchangeData.lastKnownGood.age)}`)
+                ] : []),
+                ...(exchangeData.cache ? [
+                    colors.muted(`💾 Cache${exchangeData.cache.stale ? ' vencido' : ''} • há ${logger.formatDuration(exchangeData.cache.age)}`)
+                ] : [])
             ].join('\n');
 
             return this.createBox(rateContent, {
@@ -180,8 +197,195 @@ class BoxManager {
             });
         } catch (error) {
             logger.error('Erro em createRateBox:', error);
-            return colors.text(`💵 1 USD = ${exchangeData.rate} BRL\n`);
+            const { base, quote } = pairs.parse(exchangeData.pair || pairs.getDefault());
+            return colors.text(`💵 1 ${base} = ${exchangeData.rate} ${quote}\n`);
+        }
+    }
+
+    /**
+     * ↔️ Monta linhas de compra, venda e spread
+     * @param {Object} exchangeData - Dados da cotação com bid/ask
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getQuoteSidesLines(exchangeData) {
+        return [
+            colors.text(`🟢 Compra ${exchangeData.bid.toFixed(4)} • 🔴 Venda ${exchangeData.ask.toFixed(4)}`),
+            colors.muted(`↔️ Spread ${exchangeData.spread.toFixed(4)} (${exchangeData.spreadPercent.toFixed(2)}%)`)
+        ];
+    }
+
+    /**
+     * 📊 Monta linhas do consenso entre fontes
+     * @param {Object} consensus - Bloco de consenso da cotação
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getConsensusLines(consensus) {
+        const lines = [
+            '',
+            colors.subtitle(`📊 Spread: ${consensus.spread.toFixed(4)} (${consensus.spreadPercent.toFixed(2)}%)`)
+        ];
+
+        for (const quote of consensus.quotes) {
+            const name = quote.source.padEnd(22);
+            if (!quote.ok) {
+                lines.push(colors.muted(`✗ ${name} falhou ${quote.latency}ms`));
+            } else if (quote.outlier) {
+                const sign = quote.deviationPercent > 0 ? '+' : '';
+                lines.push(colors.warning(`⚠ ${name} ${quote.rate.toFixed(4)} ${quote.latency}ms ${sign}${quote.deviationPercent.toFixed(2)}%`));
+            } else {
+                lines.push(colors.text(`• ${name} ${quote.rate.toFixed(4)} ${colors.muted(`${quote.latency}ms`)}`));
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * 🕐 Monta linhas dos boletins PTAX do dia
+     * @param {Array<Object>} bulletins - Boletins ordenados por horário
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getBulletinLines(bulletins) {
+        const lines = [''];
+
+        for (const bulletin of bulletins) {
+            const label = bulletin.label.padEnd(16);
+            const rates = `${bulletin.buy.toFixed(4)} / ${bulletin.sell.toFixed(4)}`;
+            if (bulletin.official) {
+                lines.push(colors.success(`🏛️ ${bulletin.time} ${label} ${rates}`));
+            } else {
+                lines.push(colors.text(`• ${bulletin.time} ${label} ${colors.muted(rates)}`));
+            }
         }
+
+        lines.push(bulletins.some(bulletin => bulletin.official)
+            ? colors.muted('🏛️ Fechamento = PTAX oficial do dia')
+            : colors.muted('⏳ PTAX de fechamento ainda não publicada'));
+
+        return lines;
+    }
+
+    /**
+     * 🕸️ Monta linhas do caminho de uma conversão cruzada
+     * @param {Object} conversion - Resultado de converter.convertPath()
+     * @param {Object} converter - Instância do conversor
+     * @returns {Array<string>} Linhas formatadas (vazio para conversão direta)
+     */
+    getConversionPathLines(conversion, converter) {
+        if (!conversion.triangulated) {
+            return [];
+        }
+
+        const currencies = [conversion.from, ...conversion.path.map(leg => leg.to)];
+        return [
+            '',
+            colors.subtitle(`🕸️ Taxa cruzada: ${currencies.join(' → ')}`),
+            ...conversion.path.map(leg =>
+                colors.text(`• ${leg.from} → ${leg.to} ${colors.muted(`${converter.formatRate(leg.rate)} (${leg.pair})`)}`)),
+            colors.text(`💱 1 ${conversion.from} = ${converter.formatRate(conversion.rate)} ${conversion.to}`)
+        ];
+    }
+
+    /**
+     * 📅 Monta linha da data da PTAX usada na conversão (e da data pedida, se não houve PTAX nela)
+     * @param {Object} conversion - Resultado de converter.convertPath() com cotações de history.getQuotesOn()
+     * @param {string} requestedDate - Data pedida (YYYY-MM-DD)
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getReferenceDateLines(conversion, requestedDate) {
+        const usedDate = conversion.path[0].referenceDate;
+        const formatDate = isoDate => isoDate.split('-').reverse().join('/');
+        // 🔁 Perna direta vende a moeda base (PTAX de compra); inversa compra a base (PTAX de venda)
+        const side = conversion.path.length === 1 ? (conversion.path[0].inverse ? ' venda' : ' compra') : '';
+
+        return [
+            '',
+            colors.subtitle(`📅 PTAX${side} de ${formatDate(usedDate)}`),
+            ...(requestedDate && requestedDate !== usedDate
+                ? [colors.muted(`(${calendar.formatReference(requestedDate)}: sem PTAX)`)]
+                : [])
+        ];
+    }
+
+    /**
+     * 🏛️ Monta linhas da regra fiscal aplicada (preset, data da operação e PTAX usada)
+     * @param {Object} fiscal - Bloco fiscal da conversão (converter.getFiscalReference() com usedDate)
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getFiscalLines(fiscal) {
+        const formatDate = isoDate => isoDate.split('-').reverse().join('/');
+
+        return [
+            '',
+            colors.subtitle(`🏛️ ${fiscal.label}`),
+            colors.muted(fiscal.rule),
+            colors.text(`📅 Operação em ${formatDate(fiscal.operationDate)}`),
+            colors.success(`📅 PTAX ${fiscal.ptax} de ${formatDate(fiscal.usedDate)}`),
+            ...(fiscal.referenceDate !== fiscal.usedDate
+                ? [colors.muted(`(${calendar.formatReference(fiscal.referenceDate)}: sem PTAX)`)]
+                : [])
+        ];
+    }
+
+    /**
+     * 🧾 Monta linhas do custo efetivo (taxa, spread, IOF, tarifas e total)
+     * @param {Object} cost - Resultado de converter.calculateCost()
+     * @param {Object} converter - Instância do conversor
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getCostLines(cost, converter) {
+        const money = value => converter.formatCurrencyNoColor(value, cost.to).padStart(14);
+        const percent = value => `${value.toFixed(2).replace('.', ',')}%`;
+
+        return [
+            '',
+            colors.subtitle(`🧾 ${cost.label}`),
+            colors.text(`${'Valor na taxa'.padEnd(16)}${money(cost.breakdown.value)}`),
+            colors.text(`${`Spread ${percent(cost.spreadPercent)}`.padEnd(16)}${money(cost.breakdown.spread)}`),
+            colors.text(`${`IOF ${percent(cost.iofPercent)}`.padEnd(16)}${money(cost.breakdown.iof)}`),
+            colors.text(`${'Tarifas'.padEnd(16)}${money(cost.breakdown.fees)}`),
+            colors.success(`${'Total'.padEnd(16)}${money(cost.breakdown.total)}`),
+            colors.muted(`💱 1 ${cost.from} sai por ${converter.formatRate(cost.totalRate)} ${cost.to}`)
+        ];
+    }
+
+    /**
+     * 🎯 Monta linhas do valor a enviar (alvo, tarifa no exterior e custo efetivo da compra)
+     * @param {Object} required - Resultado de converter.calculateRequired()
+     * @param {Object} converter - Instância do conversor
+     * @returns {Array<string>} Linhas formatadas
+     */
+    getRequiredLines(required, converter) {
+        const money = value => converter.formatCurrencyNoColor(value, required.from).padStart(14);
+
+        return [
+            '',
+            colors.subtitle(`🎯 Para receber ${converter.formatCurrencyNoColor(required.target, required.from)}`),
+            colors.text(`${'Tarifa exterior'.padEnd(16)}${money(required.foreignFee)}`),
+            colors.text(`${'Comprar'.padEnd(16)}${money(required.amount)}`),
+            ...this.getCostLines(required, converter),
+            colors.muted(`🎯 1 ${required.from} recebido sai por ${converter.formatRate(required.targetRate)} ${required.to}`)
+        ];
+    }
+
+    /**
+     * 🧮 Monta linhas das taxas usadas pela calculadora
+     * @param {Object} calculation - Resultado de calculator.calculate()
+     * @param {Object} converter - Instância do conversor
+     * @returns {Array<string>} Linhas formatadas (vazio se a conta não usou cotação)
+     */
+    getCalculationLines(calculation, converter) {
+        const lines = calculation.conversions.map(conversion =>
+            colors.text(`• 1 ${conversion.from} = ${converter.formatRate(conversion.rate)} ${conversion.to}` +
+                (conversion.triangulated ? colors.muted(' (taxa cruzada)') : '')));
+
+        if (calculation.quote) {
+            const quote = calculation.quote;
+            lines.push(colors.text(`📈 ${pairs.label(quote.pair)}: taxa ${converter.formatRate(quote.rate)}`));
+            lines.push(colors.muted(`   compra ${converter.formatRate(quote.bid)} · venda ${converter.formatRate(quote.ask)}`));
+        }
+
+        return lines.length > 0 ? ['', colors.subtitle('💱 Taxas usadas'), ...lines] : [];
     }
 
     /**
@@ -227,7 +431,7 @@ class BoxManager {
                 colors.subtitle('💻 TECNOLOGIA'),
                 `${colors.text('⚙️')} Runtime: ${colors.info('Node.js ' + process.version)}`,
                 `${colors.text('📦')} Dependências: ${colors.info(this.getDependenciesCount())}`,
-                `${colors.text('💰')} Moedas: ${colors.success('USD/BRL')}`,
+                `${colors.text('💰')} Moedas: ${colors.success(pairs.list().map(pair => pairs.label(pair)).join(', '))}`,
                 `${colors.text('🌐')} APIs: ${colors.info('Google Finance + Banco Central')}`,
                 `${colors.text('🕷️')} Web Scraping: ${colors.info('Playwright + Chromium')}`,
                 `${colors.text('🎨')} UI: ${colors.info('inquirer, boxen, chalk & figlet')}`,
@@ -267,9 +471,10 @@ class BoxManager {
      * @param {string} rate - Taxa utilizada
      * @param {string} direction - Direção da conversão
      * @param {string} source - Fonte dos dados
+     * @param {Array<string>} details - Linhas extras (ex: caminho da taxa cruzada)
      * @returns {string} Box de resultado
      */
-    createConversionResultBox(from, to, rate, direction, source) {
+    createConversionResultBox(from, to, rate, direction, source, details = []) {
         console.clear();
         try {
             const resultContent = [
@@ -282,6 +487,7 @@ class BoxManager {
                 '',
                 colors.success(`🎯 ${direction}`),
                 colors.text(`📡 Fonte: ${colors.info(source)}`),
+                ...details,
                 '',
                 colors.muted(`🕒 ${new Date().toLocaleString('pt-BR')}`)
             ].join('\n');
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const scrapingConfig = require('../config/scraping.json');
+const logger = require('./logger');
+
+/**
+ * 🌐 Gerenciador de Navegador Playwright
+ * @class BrowserPool
+ * @description Mantém um Chromium e uma página aquecidos entre atualizações, reciclando após N usos ou falha
+ */
+class BrowserPool {
+    /**
+     * 🏗️ Construtor da classe BrowserPool
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.browserPool;
+        this.maxUses = this.config.maxUses;
+        this.browser = null;
+        this.page = null;
+        this.uses = 0;
+        this.keepAlive = false;
+        this.queue = Promise.resolve();
+        this.closing = null;
+    }
+
+    /**
+     * ♨️ Ativa ou desativa a manutenção do navegador entre usos
+     * @param {boolean} keepAlive - Se o navegador deve permanecer aberto
+     * @returns {Promise<void>}
+     */
+    async setKeepAlive(keepAlive) {
+        this.keepAlive = Boolean(keepAlive);
+
+        // 🧹 Sem keep-alive, fecha o navegador ocioso
+        if (!this.keepAlive) {
+            await this.queue;
+            await this.close();
+        }
+    }
+
+    /**
+     * 🎯 Executa tarefa com a página compartilhada (uma tarefa por vez)
+     * @param {Object} launchOptions - Opções do chromium.launch
+     * @param {Function} task - Função async que recebe a página
+     * @returns {Promise<any>} Resultado da tarefa
+     */
+    withPage(launchOptions, task) {
+        const run = this.queue.then(() => this.runTask(launchOptions, task));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * ⚙️ Executa a tarefa e decide se mantém ou recicla o navegador
+     * @param {Object} launchOptions - Opções do chromium.launch
+     * @param {Function} task - Função async que recebe a página
+     * @returns {Promise<any>} Resultado da tarefa
+     * @private
+     */
+    async runTask(launchOptions, task) {
+        if (this.browser && this.uses >= this.maxUses) {
+            logger.debug(`Reciclando navegador após ${this.uses} usos`);
+            await this.close();
+        }
+
+        const page = await this.acquirePage(launchOptions);
+        this.uses++;
+
+        try {
+            const result = await task(page);
+
+            if (!this.keepAlive) {
+                await this.close();
+            }
+
+            return result;
+        } catch (error) {
+            // 💥 Falha ou crash: descarta o navegador para o próximo uso
+            logger.debug(`Descartando navegador após falha: ${error.message}`);
+            await this.close();
+            throw error;
+        }
+    }
+
+    /**
+     * 📄 Obtém a página aquecida, iniciando o navegador se necessário
+     * @param {Object} launchOptions - Opções do chromium.launch
+     * @returns {Promise<Object>} Página do Playwright
+     * @private
+     */
+    async acquirePage(launchOptions) {
+        if (this.closing) {
+            await this.closing;
+        }
+
+        if (this.browser && this.browser.isConnected() && this.page && !this.page.isClosed()) {
+            logger.debug(`Reutilizando navegador (uso ${this.uses + 1}/${this.maxUses})`);
+            return this.page;
+        }
+
+        await this.close();
+
+        const { chromium } = require('playwright');
+        logger.debug('Iniciando Chromium...');
+
+        this.browser = await chromium.launch(launchOptions);
+        this.browser.on('disconnected', () => {
+            logger.debug('Navegador desconectado');
+            this.browser = null;
+            this.page = null;
+        });
+
+        this.page = await this.browser.newPage();
+        this.page.on('crash', () => {
+            logger.warn('Página do navegador travou, será recriada');
+            this.page = null;
+        });
+
+        this.uses = 0;
+        return this.page;
+    }
+
+    /**
+     * ⏹️ Fecha o navegador (idempotente; chamadas simultâneas compartilham a mesma promise)
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (this.closing) {
+            return this.closing;
+        }
+
+        const browser = this.browser;
+        this.browser = null;
+        this.page = null;
+        this.uses = 0;
+
+        if (!browser) {
+            return Promise.resolve();
+        }
+
+        this.closing = browser.close()
+            .catch(error => {
+                logger.debug(`Erro ao fechar navegador: ${error.message}`);
+            })
+            .finally(() => {
+                this.closing = null;
+            });
+
+        return this.closing;
+    }
+
+    /**
+     * 📦 Verifica se o Playwright (dependência opcional) está instalado
+     * @returns {boolean} Se o módulo pode ser carregado
+     */
+    isInstalled() {
+        try {
+            require.resolve('playwright');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 🧭 Obtém o caminho do Chromium baixado pelo Playwright
+     * @returns {string|null} Caminho do executável, ou null se não estiver baixado
+     */
+    getExecutablePath() {
+        try {
+            const { chromium } = require('playwright');
+            const executablePath = chromium.executablePath();
+            return executablePath && fs.existsSync(executablePath) ? executablePath : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 🔍 Verifica se há navegador aberto
+     * @returns {boolean} Se o navegador está ativo
+     */
+    isActive() {
+        return Boolean(this.browser && this.browser.isConnected());
+    }
+}
+
+module.exports = new BrowserPool();
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scrapingConfig = require('../config/scraping.json');
+const logger = require('./logger');
+
+/**
+ * 💾 Cache Persistente de Cotações
+ * @class RateCache
+ * @description Guarda cotações em disco por par e fonte, compartilhadas entre processos
+ */
+class RateCache {
+    /**
+     * 🏗️ Construtor da classe RateCache
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.cache || {};
+        this.ttl = scrapingConfig.cacheDuration;
+        this.maxStale = this.config.maxStale;
+        this.enabled = this.config.enabled !== false && process.env.RAVC_NO_CACHE !== '1';
+        this.cacheDir = process.env.RAVC_CACHE_DIR ||
+            this.config.directory ||
+            path.join(os.homedir(), '.ravc', 'cache');
+    }
+
+    /**
+     * 📁 Garante que o diretório de cache existe
+     * @private
+     */
+    ensureCacheDirectory() {
+        if (!fs.existsSync(this.cacheDir)) {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+        }
+    }
+
+    /**
+     * 🔑 Gera nome do arquivo para par e fonte
+     * @param {string} pair - Par de moedas (ex: USD-BRL)
+     * @param {string} source - Nome da fonte
+     * @returns {string} Caminho do arquivo
+     * @private
+     */
+    getFilePath(pair, source) {
+        const slug = source
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .toLowerCase();
+        return path.join(this.cacheDir, `${pair}__${slug}.json`);
+    }
+
+    /**
+     * 📥 Lê entrada do cache
+     * @param {string} pair - Par de moedas
+     * @param {string} source - Nome da fonte
+     * @returns {Object|null} Entrada com data, storedAt, age e isFresh
+     */
+    get(pair, source) {
+        if (!this.enabled) return null;
+        return this.readEntry(this.getFilePath(pair, source));
+    }
+
+    /**
+     * 📥 Obtém a entrada mais recente do par entre todas as fontes
+     * @param {string} pair - Par de moedas
+     * @returns {Object|null} Entrada mais recente
+     */
+    getLatest(pair) {
+        if (!this.enabled || !fs.existsSync(this.cacheDir)) return null;
+
+        let latest = null;
+        try {
+            const files = fs.readdirSync(this.cacheDir)
+                .filter(file => file.startsWith(`${pair}__`) && file.endsWith('.json'));
+
+            for (const file of files) {
+                const entry = this.readEntry(path.join(this.cacheDir, file));
+                if (entry && (!latest || entry.storedAt > latest.storedAt)) {
+                    latest = entry;
+                }
+            }
+        } catch (error) {
+            logger.debug(`Erro ao listar cache: ${error.message}`);
+        }
+
+        return latest;
+    }
+
+    /**
+     * 📤 Grava cotação no cache (escrita atômica via arquivo temporário)
+     * @param {string} pair - Par de moedas
+     * @param {string} source - Nome da fonte
+     * @param {Object} exchangeData - Dados da cotação
+     */
+    set(pair, source, exchangeData) {
+        if (!this.enabled) return;
+
+        try {
+            this.ensureCacheDirectory();
+            const filePath = this.getFilePath(pair, source);
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+            const entry = {
+                pair: pair,
+                source: source,
+                storedAt: Date.now(),
+                data: exchangeData
+            };
+
+            fs.writeFileSync(tmpPath, JSON.stringify(entry, null, 2), 'utf8');
+            fs.renameSync(tmpPath, filePath);
+        } catch (error) {
+            logger.debug(`Erro ao gravar cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * 🧹 Remove todas as entradas do cache
+     * @returns {number} Quantidade de arquivos removidos
+     */
+    clear() {
+        if (!fs.existsSync(this.cacheDir)) return 0;
+
+        let removed = 0;
+        for (const file of fs.readdirSync(this.cacheDir)) {
+            try {
+                fs.unlinkSync(path.join(this.cacheDir, file));
+                removed++;
+            } catch (error) {
+                logger.debug(`Erro ao remover ${file}: ${error.message}`);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * 📄 Lê e valida um arquivo de cache
+     * @param {string} filePath - Caminho do arquivo
+     * @returns {Object|null} Entrada anotada com idade
+     * @private
+     */
+    readEntry(filePath) {
+        try {
+            if (!fs.existsSync(filePath)) return null;
+
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const age = Date.now() - entry.storedAt;
+
+            if (this.maxStale && age > this.maxStale) {
+                return null;
+            }
+
+            return {
+                ...entry,
+                age: age,
+                isFresh: age <= this.ttl
+            };
+        } catch (error) {
+            // 🐛 Arquivo corrompido ou em escrita: trata como ausente
+            logger.debug(`Cache ilegível (${filePath}): ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = new RateCache();
@@ -0,0 +1,119 @@
+const scrapingConfig = require('../config/scraping.json');
+const logger = require('./logger');
+
+/**
+ * 🔌 Circuit Breaker por Fonte
+ * @class CircuitBreaker
+ * @description Pula fontes que falham repetidamente durante uma janela de resfriamento
+ */
+class CircuitBreaker {
+    /**
+     * 🏗️ Construtor da classe CircuitBreaker
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.circuitBreaker;
+        this.failureThreshold = this.config.failureThreshold;
+        this.cooldown = this.config.cooldown;
+        this.circuits = new Map();
+    }
+
+    /**
+     * 🔍 Obtém (ou cria) estado do circuito de uma fonte
+     * @param {string} sourceName - Nome da fonte
+     * @returns {Object} Estado do circuito
+     * @private
+     */
+    getCircuit(sourceName) {
+        if (!this.circuits.has(sourceName)) {
+            this.circuits.set(sourceName, {
+                state: 'closed',
+                failures: 0,
+                openedAt: null
+            });
+        }
+        return this.circuits.get(sourceName);
+    }
+
+    /**
+     * 🚦 Verifica se a fonte pode ser consultada
+     * @param {string} sourceName - Nome da fonte
+     * @returns {boolean} Se a requisição é permitida
+     */
+    canRequest(sourceName) {
+        const circuit = this.getCircuit(sourceName);
+
+        if (circuit.state !== 'open') {
+            return true;
+        }
+
+        // ⏳ Após o resfriamento, libera uma tentativa de sondagem
+        if (Date.now() - circuit.openedAt >= this.cooldown) {
+            circuit.state = 'half-open';
+            logger.info(`Circuito de ${sourceName} em sondagem`);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * ✅ Registra sucesso (fecha o circuito)
+     * @param {string} sourceName - Nome da fonte
+     */
+    recordSuccess(sourceName) {
+        const circuit = this.getCircuit(sourceName);
+
+        if (circuit.state !== 'closed') {
+            logger.success(`Circuito de ${sourceName} fechado`);
+        }
+
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.openedAt = null;
+    }
+
+    /**
+     * ❌ Registra falha (abre o circuito ao atingir o limite)
+     * @param {string} sourceName - Nome da fonte
+     */
+    recordFailure(sourceName) {
+        const circuit = this.getCircuit(sourceName);
+        circuit.failures++;
+
+        if (circuit.state === 'half-open' || circuit.failures >= this.failureThreshold) {
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+            logger.warn(`Circuito de ${sourceName} aberto por ${Math.round(this.cooldown / 1000)}s após ${circuit.failures} falhas`);
+        }
+    }
+
+    /**
+     * 📊 Obtém estado de todos os circuitos
+     * @returns {Object} Estado por fonte
+     */
+    getStatus() {
+        const status = {};
+        for (const [sourceName, circuit] of this.circuits) {
+            status[sourceName] = {
+                ...circuit,
+                retryAt: circuit.openedAt ? new Date(circuit.openedAt + this.cooldown).toISOString() : null
+            };
+        }
+        return status;
+    }
+
+    /**
+     * 🔄 Reinicia circuitos
+     * @param {string} sourceName - Nome da fonte (opcional; sem ele reinicia todos)
+     */
+    reset(sourceName) {
+        if (sourceName) {
+            this.circuits.delete(sourceName);
+        } else {
+            this.circuits.clear();
+        }
+    }
+}
+
+module.exports = new CircuitBreaker();
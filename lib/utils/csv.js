@@ -0,0 +1,110 @@
+/**
+ * 📄 Leitura e Escrita de CSV
+ * @class Csv
+ * @description Lê e grava CSV com aspas, detectando o separador (vírgula ou ponto e vírgula do Excel pt-BR)
+ */
+class Csv {
+    /**
+     * 📥 Interpreta o texto de um CSV
+     * @param {string} text - Conteúdo do arquivo
+     * @returns {Object} delimiter, columns (cabeçalho) e rows (objetos coluna → valor)
+     * @throws {Error} Se o arquivo estiver vazio ou com aspas sem fechar
+     */
+    parse(text) {
+        const content = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(content);
+        const lines = this.split(content, delimiter)
+            .filter(fields => fields.some(field => field.trim() !== ''));
+
+        if (lines.length === 0) {
+            throw new Error('❌ Arquivo CSV vazio');
+        }
+
+        const columns = lines[0].map(column => column.trim());
+        const rows = lines.slice(1).map(fields =>
+            Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])));
+
+        return { delimiter, columns, rows };
+    }
+
+    /**
+     * 📤 Gera o texto de um CSV
+     * @param {Array<string>} columns - Cabeçalho
+     * @param {Array<Object>} rows - Linhas (objetos coluna → valor)
+     * @param {string} delimiter - Separador (padrão: vírgula)
+     * @returns {string} CSV com cabeçalho
+     */
+    stringify(columns, rows, delimiter = ',') {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.map(escape).join(delimiter),
+            ...rows.map(row => columns.map(column => escape(row[column])).join(delimiter))
+        ].join('\n');
+    }
+
+    /**
+     * 🔍 Detecta o separador pela primeira linha (";" quando aparece mais que ",")
+     * @param {string} content - Conteúdo do arquivo
+     * @returns {string} Separador
+     * @private
+     */
+    detectDelimiter(content) {
+        const header = content.split(/\r?\n/, 1)[0];
+        const count = char => header.split(char).length - 1;
+        return count(';') > count(',') ? ';' : ',';
+    }
+
+    /**
+     * ✂️ Quebra o conteúdo em linhas e campos, respeitando aspas
+     * @param {string} content - Conteúdo do arquivo
+     * @param {string} delimiter - Separador
+     * @returns {Array<Array<string>>} Campos de cada linha
+     * @private
+     */
+    split(content, delimiter) {
+        const lines = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                lines.push([...fields, field]);
+                fields = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error('❌ CSV com aspas sem fechar');
+        }
+
+        lines.push([...fields, field]);
+        return lines;
+    }
+}
+
+module.exports = new Csv();
@@ -0,0 +1,186 @@
+/**
+ * 🔢 Número Decimal Exato
+ * @class Decimal
+ * @description Guarda o valor como inteiro (BigInt) e escala, sem os erros de arredondamento do float
+ */
+class Decimal {
+    /**
+     * 🏗️ Construtor da classe Decimal
+     * @constructor
+     * @param {bigint} units - Valor inteiro sem vírgula (ex: 123456n)
+     * @param {number} scale - Casas decimais de units (ex: 2 → 1234.56)
+     */
+    constructor(units, scale) {
+        this.units = units;
+        this.scale = scale;
+    }
+
+    /**
+     * 🔤 Cria decimal a partir de número, texto ("1234.56", "1e-7") ou outro Decimal
+     * @param {number|string|Decimal} value - Valor
+     * @returns {Decimal} Decimal exato
+     */
+    static from(value) {
+        if (value instanceof Decimal) {
+            return value;
+        }
+
+        if (typeof value === 'number' && !isFinite(value)) {
+            throw new Error(`❌ Número inválido: ${value}`);
+        }
+
+        // 🎯 String(número) dá a menor representação que volta ao mesmo float (5.4231, não 5.42309999...)
+        const text = String(value).trim();
+        const match = text.match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`❌ Número inválido: ${value}`);
+        }
+
+        const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+        let units = BigInt(`${integer}${fraction}` || '0');
+        let scale = fraction.length - Number(exponent);
+
+        if (scale < 0) {
+            units *= 10n ** BigInt(-scale);
+            scale = 0;
+        }
+
+        return new Decimal(sign === '-' ? -units : units, scale);
+    }
+
+    /**
+     * ➕ Soma
+     * @param {number|string|Decimal} other - Parcela
+     * @returns {Decimal} Resultado exato
+     */
+    plus(other) {
+        const [a, b] = Decimal.align(this, Decimal.from(other));
+        return new Decimal(a.units + b.units, a.scale);
+    }
+
+    /**
+     * ➖ Subtração
+     * @param {number|string|Decimal} other - Subtraendo
+     * @returns {Decimal} Resultado exato
+     */
+    minus(other) {
+        const [a, b] = Decimal.align(this, Decimal.from(other));
+        return new Decimal(a.units - b.units, a.scale);
+    }
+
+    /**
+     * ✖️ Multiplicação
+     * @param {number|string|Decimal} other - Fator
+     * @returns {Decimal} Resultado exato
+     */
+    times(other) {
+        const factor = Decimal.from(other);
+        return new Decimal(this.units * factor.units, this.scale + factor.scale);
+    }
+
+    /**
+     * ➗ Divisão (dízimas são cortadas em `scale` casas, com arredondamento bancário)
+     * @param {number|string|Decimal} other - Divisor
+     * @param {number} scale - Casas decimais do resultado
+     * @returns {Decimal} Resultado
+     */
+    dividedBy(other, scale = 20) {
+        const divisor = Decimal.from(other);
+        if (divisor.units === 0n) {
+            throw new Error('❌ Divisão por zero');
+        }
+
+        const exponent = scale + divisor.scale - this.scale;
+        const numerator = exponent >= 0 ? this.units * 10n ** BigInt(exponent) : this.units;
+        const denominator = exponent >= 0 ? divisor.units : divisor.units * 10n ** BigInt(-exponent);
+
+        // 🎯 Arredonda pelo resto exato (uma casa extra truncada erraria 0,1251 → 0,12)
+        let quotient = numerator / denominator;
+        const remainder = numerator % denominator;
+        const sign = (numerator < 0n) !== (denominator < 0n) ? -1n : 1n;
+        const doubled = (remainder < 0n ? -remainder : remainder) * 2n;
+        const absolute = denominator < 0n ? -denominator : denominator;
+        if (doubled > absolute || (doubled === absolute && quotient % 2n !== 0n)) quotient += sign;
+
+        return new Decimal(quotient, scale);
+    }
+
+    /**
+     * 🎯 Arredonda para `precision` casas
+     * @param {number} precision - Casas decimais
+     * @param {string} mode - 'half-even' (bancário), 'half-up' (meio para longe do zero), 'truncate'
+     *   ou 'ceiling' (para cima, em direção ao +∞)
+     * @returns {Decimal} Decimal arredondado
+     */
+    round(precision, mode = 'half-even') {
+        if (this.scale <= precision) {
+            return new Decimal(this.units * 10n ** BigInt(precision - this.scale), precision);
+        }
+
+        const factor = 10n ** BigInt(this.scale - precision);
+        let quotient = this.units / factor;
+        const remainder = this.units % factor;
+        const sign = this.units < 0n ? -1n : 1n;
+        const doubled = (remainder < 0n ? -remainder : remainder) * 2n;
+
+        if (mode === 'half-up') {
+            if (doubled >= factor) quotient += sign;
+        } else if (mode === 'half-even') {
+            if (doubled > factor || (doubled === factor && quotient % 2n !== 0n)) quotient += sign;
+        } else if (mode === 'ceiling') {
+            if (remainder > 0n) quotient += 1n;
+        } else if (mode !== 'truncate') {
+            throw new Error(`❌ Modo de arredondamento inválido: ${mode}`);
+        }
+
+        return new Decimal(quotient, precision);
+    }
+
+    /**
+     * ⚖️ Compara com outro valor
+     * @param {number|string|Decimal} other - Valor
+     * @returns {number} -1, 0 ou 1
+     */
+    compare(other) {
+        const [a, b] = Decimal.align(this, Decimal.from(other));
+        return a.units === b.units ? 0 : (a.units < b.units ? -1 : 1);
+    }
+
+    /**
+     * 🔤 Texto decimal sem notação científica (ex: "-1234.5600")
+     * @returns {string} Valor
+     */
+    toString() {
+        const negative = this.units < 0n;
+        const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+        const integer = digits.slice(0, digits.length - this.scale);
+        const fraction = this.scale > 0 ? `.${digits.slice(-this.scale)}` : '';
+        return `${negative ? '-' : ''}${integer}${fraction}`;
+    }
+
+    /**
+     * 🔢 Converte para number (para exibição e APIs que esperam float)
+     * @returns {number} Valor aproximado
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    /**
+     * 📏 Iguala a escala de dois decimais
+     * @param {Decimal} a - Primeiro decimal
+     * @param {Decimal} b - Segundo decimal
+     * @returns {Array<Decimal>} Os dois com a mesma escala
+     * @private
+     */
+    static align(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        return [
+            new Decimal(a.units * 10n ** BigInt(scale - a.scale), scale),
+            new Decimal(b.units * 10n ** BigInt(scale - b.scale), scale)
+        ];
+    }
+}
+
+module.exports = Decimal;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scrapingConfig = require('../config/scraping.json');
+const logger = require('./logger');
+
+/**
+ * 📼 Gravação e Reprodução de Respostas (modo offline)
+ * @class Fixtures
+ * @description Grava as respostas brutas das fontes em arquivos e as reproduz sem rede nem navegador
+ */
+class Fixtures {
+    /**
+     * 🏗️ Construtor da classe Fixtures
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.fixtures || {};
+        this.mode = null;
+        this.directory = this.getDefaultDirectory();
+
+        if (process.env.RAVC_OFFLINE === '1') {
+            this.setMode('replay');
+        } else if (process.env.RAVC_RECORD === '1') {
+            this.setMode('record');
+        }
+    }
+
+    /**
+     * 🎛️ Ativa gravação ou reprodução
+     * @param {string|null} mode - 'record', 'replay' ou null (desativa)
+     * @param {string} directory - Diretório das fixtures (padrão: RAVC_FIXTURES_DIR ou config)
+     */
+    setMode(mode, directory) {
+        if (mode && !['record', 'replay'].includes(mode)) {
+            throw new Error(`❌ Modo de fixtures inválido: ${mode}`);
+        }
+
+        this.mode = mode;
+        this.directory = directory ? path.resolve(directory) : this.getDefaultDirectory();
+    }
+
+    /**
+     * ▶️ Verifica se está reproduzindo fixtures
+     * @returns {boolean} Se o modo offline está ativo
+     */
+    isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * ⏺️ Verifica se está gravando fixtures
+     * @returns {boolean} Se a gravação está ativa
+     */
+    isRecording() {
+        return this.mode === 'record';
+    }
+
+    /**
+     * 📥 Lê a resposta gravada de uma fonte
+     * @param {Object} source - Configuração da fonte
+     * @param {string} pair - Par de moedas (ou chave da consulta do histórico, ex: USD-BRL_2026-03-13)
+     * @returns {*} Resposta bruta, no mesmo formato devolvido por provider.fetch()
+     */
+    load(source, pair) {
+        const filePath = this.getFilePath(source, pair);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`❌ Fixture não encontrada para ${source.name} (${pair}): ${filePath}`);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        logger.debug(`Reproduzindo ${source.name} (gravado em ${fixture.recordedAt})`);
+        return fixture.raw;
+    }
+
+    /**
+     * 📤 Grava a resposta bruta de uma fonte
+     * @param {Object} source - Configuração da fonte
+     * @param {Object} provider - Provedor que obteve a resposta
+     * @param {*} raw - Resposta bruta de provider.fetch() (JSON ou HTML)
+     * @param {string} pair - Par de moedas (ou chave da consulta do histórico)
+     */
+    save(source, provider, raw, pair) {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+
+            const fixture = {
+                source: source.name,
+                provider: provider.id,
+                pair: pair,
+                recordedAt: new Date().toISOString(),
+                raw: raw
+            };
+
+            fs.writeFileSync(this.getFilePath(source, pair), JSON.stringify(fixture, null, 2), 'utf8');
+            logger.debug(`Resposta de ${source.name} gravada`);
+        } catch (error) {
+            logger.warn(`Erro ao gravar fixture de ${source.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 🔑 Gera caminho do arquivo da fonte (ex: usd-brl__api-publica-awesome.json)
+     * @param {Object} source - Configuração da fonte
+     * @param {string} pair - Par de moedas
+     * @returns {string} Caminho do arquivo
+     * @private
+     */
+    getFilePath(source, pair) {
+        const slug = source.name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-zA-Z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .toLowerCase();
+        return path.join(this.directory, `${pair.toLowerCase()}__${slug}.json`);
+    }
+
+    /**
+     * 📁 Diretório padrão das fixtures
+     * @returns {string} Caminho do diretório
+     * @private
+     */
+    getDefaultDirectory() {
+        return path.resolve(process.env.RAVC_FIXTURES_DIR ||
+            this.config.directory ||
+            path.join(os.homedir(), '.ravc', 'fixtures'));
+    }
+}
+
+module.exports = new Fixtures();
@@ -0,0 +1,81 @@
+/**
+ * 🌐 Cliente HTTP com Timeout e Cancelamento
+ * @class HttpClient
+ * @description Envolve o fetch nativo com AbortController para timeout real e cancelamento externo
+ */
+class HttpClient {
+    /**
+     * 📡 Executa requisição com timeout e sinal de cancelamento
+     * @param {string} url - URL da requisição
+     * @param {Object} options - Opções do fetch (headers, method...)
+     * @param {Object} control - Controle da requisição
+     * @param {number} control.timeout - Timeout em milissegundos
+     * @param {AbortSignal} control.signal - Sinal externo de cancelamento
+     * @returns {Promise<Response>} Resposta do fetch
+     */
+    async fetch(url, options = {}, { timeout, signal } = {}) {
+        if (signal && signal.aborted) {
+            throw this.createCancelError();
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw timedOut ? this.createTimeoutError(timeout) : this.createCancelError();
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * ⏱️ Cria erro de timeout
+     * @param {number} timeout - Timeout em milissegundos
+     * @returns {Error} Erro com code ETIMEDOUT
+     * @private
+     */
+    createTimeoutError(timeout) {
+        const error = new Error(`❌ Tempo esgotado após ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        return error;
+    }
+
+    /**
+     * 🛑 Cria erro de cancelamento
+     * @returns {Error} Erro com code ECANCELED
+     */
+    createCancelError() {
+        const error = new Error('❌ Operação cancelada');
+        error.code = 'ECANCELED';
+        return error;
+    }
+
+    /**
+     * 🔍 Verifica se o erro é um cancelamento
+     * @param {Error} error - Erro a verificar
+     * @returns {boolean} Se foi cancelado pelo usuário
+     */
+    isCancelError(error) {
+        return Boolean(error && error.code === 'ECANCELED');
+    }
+}
+
+module.exports = new HttpClient();
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const scrapingConfig = require('../config/scraping.json');
+const logger = require('./logger');
+
+/**
+ * 🛟 Último Valor Conhecido
+ * @class LastKnownGood
+ * @description Persiste a última cotação válida de cada par para uso quando todas as fontes falham
+ */
+class LastKnownGood {
+    /**
+     * 🏗️ Construtor da classe LastKnownGood
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.lastKnownGood || {};
+        this.maxAge = this.config.maxAge;
+        this.filePath = process.env.RAVC_LKG_FILE ||
+            this.config.file ||
+            path.join(os.homedir(), '.ravc', 'last-known-good.json');
+    }
+
+    /**
+     * 📤 Grava a cotação como último valor conhecido do par
+     * @param {string} pair - Par de moedas (ex: USD-BRL)
+     * @param {Object} exchangeData - Dados da cotação obtidos de uma fonte
+     */
+    save(pair, exchangeData) {
+        try {
+            const entries = this.readAll();
+            entries[pair] = {
+                storedAt: Date.now(),
+                data: exchangeData
+            };
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2), 'utf8');
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.debug(`Erro ao gravar último valor conhecido: ${error.message}`);
+        }
+    }
+
+    /**
+     * 📥 Lê o último valor conhecido do par
+     * @param {string} pair - Par de moedas
+     * @returns {Object|null} Entrada com data, storedAt, age e isExpired
+     */
+    load(pair) {
+        const entry = this.readAll()[pair];
+        if (!entry || !entry.data) return null;
+
+        const age = Date.now() - entry.storedAt;
+        return {
+            ...entry,
+            age: age,
+            isExpired: Boolean(this.maxAge) && age > this.maxAge
+        };
+    }
+
+    /**
+     * 📄 Lê todas as entradas do arquivo
+     * @returns {Object} Entradas por par
+     * @private
+     */
+    readAll() {
+        try {
+            if (!fs.existsSync(this.filePath)) return {};
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            // 🐛 Arquivo corrompido: trata como vazio
+            logger.debug(`Último valor conhecido ilegível: ${error.message}`);
+            return {};
+        }
+    }
+}
+
+module.exports = new LastKnownGood();
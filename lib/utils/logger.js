@@ -17,6 +17,7 @@ class Logger {
         this.config = loggerConfig;
         this.levels = this.config.levels;
         this.debugEnabled = (process.env.DEBUG === '1' || process.env.DEBUG_SCRAPING === '1');
+        this.quiet = false;
         this.logsDir = path.join(process.cwd(), 'logs');
         this.sessionFile = path.join(this.logsDir, 'session.json');
         this.ensureLogsDirectory();
@@ -195,6 +196,14 @@ class Logger {
             return;
         }
 
+        // 🤫 Modo silencioso: apenas erros, no stderr (stdout fica livre para JSON/CSV)
+        if (this.quiet) {
+            if (level === this.levels.ERROR) {
+                console.error(`${this.getEmoji(level)} ${message}`);
+            }
+            return;
+        }
+
         if (!this.config.settings.colorsEnabled) {
             return this.logPlain(level, message, data);
         }
@@ -360,6 +369,14 @@ class Logger {
         }
     }
 
+    /**
+     * 🤫 Ativa ou desativa o modo silencioso
+     * @param {boolean} quiet - Se deve silenciar logs não-erro
+     */
+    setQuiet(quiet) {
+        this.quiet = Boolean(quiet);
+    }
+
     /**
      * 🔍 Verifica se debug está ativado
      * @returns {boolean} Status do debug
@@ -0,0 +1,143 @@
+const scrapingConfig = require('../config/scraping.json');
+const lastKnownGood = require('./lastKnownGood');
+const fixtures = require('./fixtures');
+const logger = require('./logger');
+
+/**
+ * 🧪 Regras de Sanidade de Cotações
+ * @class SanityRules
+ * @description Rejeita cotações fora dos limites do par ou com salto grande demais em relação ao último valor conhecido,
+ * até que uma segunda fonte confirme o salto
+ */
+class SanityRules {
+    /**
+     * 🏗️ Construtor da classe SanityRules
+     * @constructor
+     */
+    constructor() {
+        this.config = scrapingConfig.sanity || {};
+        this.rejectedJumps = new Map();
+    }
+
+    /**
+     * 📏 Obtém as regras do par (ou as regras padrão)
+     * @param {string} pair - Par de moedas (ex: USD-BRL)
+     * @returns {Object} min, max e maxJumpPercent
+     */
+    getRules(pair) {
+        const pairs = this.config.pairs || {};
+        return {
+            ...this.config.default,
+            ...pairs[pair]
+        };
+    }
+
+    /**
+     * ✅ Verifica limites e salto da cotação
+     * @param {Object} exchangeData - Dados da cotação
+     * @param {string} pair - Par de moedas
+     * @returns {Object} Resultado com isValid e error (motivo da rejeição)
+     */
+    check(exchangeData, pair) {
+        const rules = this.getRules(pair);
+        const rate = exchangeData && exchangeData.rate;
+
+        if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+            return this.reject(`❌ Taxa inválida: ${rate}`);
+        }
+
+        if ((rules.min !== null && rules.min !== undefined && rate < rules.min) ||
+            (rules.max !== null && rules.max !== undefined && rate > rules.max)) {
+            return this.reject(`❌ Taxa ${rate} fora dos limites de ${pair} (${rules.min ?? '-∞'} a ${rules.max ?? '∞'})`);
+        }
+
+        return this.checkJump(rate, pair, rules, exchangeData.source);
+    }
+
+    /**
+     * 📈 Compara a taxa com o último valor conhecido recente
+     * @param {number} rate - Taxa obtida
+     * @param {string} pair - Par de moedas
+     * @param {Object} rules - Regras do par
+     * @param {string} source - Fonte da cotação (um salto só vale quando outra fonte o confirma)
+     * @returns {Object} Resultado com isValid e error
+     * @private
+     */
+    checkJump(rate, pair, rules, source) {
+        // 📼 No modo offline o resultado não depende do último valor gravado
+        if (!rules.maxJumpPercent || fixtures.isReplaying()) {
+            return this.accept();
+        }
+
+        const previous = lastKnownGood.load(pair);
+        if (!previous || previous.age > this.config.jumpWindow) {
+            return this.accept();
+        }
+
+        const jumpPercent = Math.abs((rate - previous.data.rate) / previous.data.rate) * 100;
+        if (jumpPercent > rules.maxJumpPercent) {
+            // 🤝 Movimento real: outra fonte já viu a mesma taxa, então o salto é aceito e vira o novo valor conhecido
+            const confirmation = this.findConfirmation(rate, pair, source);
+            if (confirmation) {
+                logger.warn(`Salto de ${jumpPercent.toFixed(2)}% confirmado por ${confirmation.source} (${confirmation.rate})`);
+                this.rejectedJumps.delete(pair);
+                return this.accept();
+            }
+
+            this.rememberJump(rate, pair, source);
+            return this.reject(`❌ Salto de ${jumpPercent.toFixed(2)}% em relação ao último valor conhecido ` +
+                `(${previous.data.rate}, há ${logger.formatDuration(previous.age)}); máximo ${rules.maxJumpPercent}%`);
+        }
+
+        return this.accept();
+    }
+
+    /**
+     * 🤝 Procura salto recente de outra fonte com taxa próxima (até `jumpConfirmPercent`)
+     * @param {number} rate - Taxa obtida
+     * @param {string} pair - Par de moedas
+     * @param {string} source - Fonte da cotação
+     * @returns {Object|null} Salto rejeitado que confirma a taxa (rate, source e rejectedAt)
+     * @private
+     */
+    findConfirmation(rate, pair, source) {
+        const tolerance = this.config.jumpConfirmPercent ?? 0.5;
+        return (this.rejectedJumps.get(pair) || []).find(jump =>
+            jump.source !== source &&
+            Date.now() - jump.rejectedAt <= this.config.jumpWindow &&
+            Math.abs((rate - jump.rate) / jump.rate) * 100 <= tolerance) || null;
+    }
+
+    /**
+     * 📝 Guarda o salto rejeitado (um por fonte) para ser confirmado por outra fonte
+     * @param {number} rate - Taxa rejeitada
+     * @param {string} pair - Par de moedas
+     * @param {string} source - Fonte da cotação
+     * @private
+     */
+    rememberJump(rate, pair, source) {
+        const jumps = (this.rejectedJumps.get(pair) || []).filter(jump => jump.source !== source);
+        this.rejectedJumps.set(pair, [...jumps, { rate, source, rejectedAt: Date.now() }]);
+    }
+
+    /**
+     * ✅ Resultado aprovado
+     * @returns {Object} Resultado válido
+     * @private
+     */
+    accept() {
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * ❌ Resultado rejeitado
+     * @param {string} error - Motivo da rejeição
+     * @returns {Object} Resultado inválido
+     * @private
+     */
+    reject(error) {
+        return { isValid: false, error: error };
+    }
+}
+
+module.exports = new SanityRules();
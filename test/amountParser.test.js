@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const amountParser = require('../lib/utils/amountParser');
+
+const value = input => amountParser.parse(input).value.toString();
+
+describe('amountParser', () => {
+    it('lê milhar e decimal pt-BR e en-US', () => {
+        assert.equal(value('1.234,56'), '1234.56');
+        assert.equal(value('1,234.56'), '1234.56');
+        assert.equal(value('1.234.567'), '1234567.0');
+        assert.equal(value('35,90'), '35.90');
+    });
+
+    it('pede para desambiguar "1.000" sem símbolo de moeda', () => {
+        assert.throws(() => value('1.000'), /Valor ambíguo/);
+        assert.throws(() => value('1,000'), /Valor ambíguo/);
+    });
+
+    it('usa o símbolo da moeda para desambiguar', () => {
+        assert.equal(value('US$ 1.000'), '1000.0');
+        assert.equal(value('R$ 1,000'), '1.000');
+        assert.equal(value('£1,000'), '1000.0');
+    });
+
+    it('aceita separador decimal indicado pelo chamador', () => {
+        assert.equal(amountParser.parse('5.423', { decimal: '.' }).value.toString(), '5.423');
+        assert.equal(amountParser.parse('5,423', { decimal: '.' }).value.toString(), '5423.0');
+    });
+
+    it('identifica a moeda pelo símbolo ou pelo código', () => {
+        assert.equal(amountParser.parse('R$ 50').currency, 'BRL');
+        assert.equal(amountParser.parse('50 eur').currency, 'EUR');
+        assert.equal(amountParser.parse('$ 50').currency, null);
+        assert.throws(() => amountParser.parse('10 USD + 5 EUR'), /Mais de uma moeda/);
+    });
+
+    it('aplica sufixos k, mil, mi e bi', () => {
+        assert.equal(value('1,5k'), '1500.0');
+        assert.equal(value('2mil'), '2000');
+        assert.equal(value('2mi'), '2000000');
+        assert.equal(value('1bi'), '1000000000');
+    });
+
+    it('calcula contas com precedência de × e ÷', () => {
+        assert.equal(value('120+35,90'), '155.90');
+        assert.equal(value('10 + 2 x 3'), '16');
+        assert.equal(value('-10+4'), '-6');
+        assert.equal(value('1/4'), '0.250000000000');
+    });
+
+    it('recusa contas incompletas, divisão por zero e texto solto', () => {
+        assert.throws(() => value('10+'), /Conta incompleta/);
+        assert.throws(() => value('10/0'), /Divisão por zero/);
+        assert.throws(() => value('dez'), /Não entendi/);
+        assert.throws(() => value('   '), /Digite um valor/);
+        assert.throws(() => value('12,34,5'), /Separador de milhar inválido/);
+    });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BaseProvider = require('../lib/providers/baseProvider');
+
+const provider = new BaseProvider('teste');
+
+describe('BaseProvider.parseRate', () => {
+    it('lê decimal com vírgula e com ponto', () => {
+        assert.equal(provider.parseRate('5,4230'), 5.423);
+        assert.equal(provider.parseRate('5.4230'), 5.423);
+    });
+
+    it('lê milhar en-US', () => {
+        assert.equal(provider.parseRate('1,050.25'), 1050.25);
+        assert.equal(provider.parseRate('1,234,567.5'), 1234567.5);
+    });
+
+    it('lê milhar pt-BR', () => {
+        assert.equal(provider.parseRate('1.050,25'), 1050.25);
+        assert.equal(provider.parseRate('R$ 1.234.567,5'), 1234567.5);
+    });
+
+    it('trata separador único seguido de três dígitos como decimal', () => {
+        assert.equal(provider.parseRate('5.423'), 5.423);
+        assert.equal(provider.parseRate('5,423 BRL'), 5.423);
+    });
+
+    it('rejeita texto sem número', () => {
+        assert.throws(() => provider.parseRate('indisponível'), /Não foi possível parsear/);
+    });
+});
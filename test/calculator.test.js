@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calculator = require('../lib/calculator');
+const logger = require('../lib/utils/logger');
+
+logger.setQuiet(true);
+
+// 💱 Conversão de 1 unidade no formato de converter.convertPath(), sem rede
+const conversion = (from, to, rawResult) => ({
+    from, to, rate: Number(rawResult), rawResult, triangulated: false, path: [{ pair: `${from}-${to}`, source: 'Teste' }]
+});
+
+const calculate = (expression, context = {}) => calculator.evaluate(calculator.parse(expression), context);
+
+describe('calculator', () => {
+    it('identifica moedas, moeda do resultado e variáveis', () => {
+        const parsed = calculator.parse('100 USD + 250 BRL in USD');
+        assert.equal(parsed.target, 'USD');
+        assert.deepEqual(parsed.currencies.sort(), ['BRL', 'USD']);
+        assert.deepEqual(calculator.parse('100 * taxa').variables, ['rate']);
+    });
+
+    it('soma moedas convertendo para a moeda do resultado', () => {
+        const result = calculate('100 USD + 250 BRL in USD', {
+            target: 'USD',
+            conversions: [conversion('BRL', 'USD', '0.2')]
+        });
+
+        assert.equal(result.result, 150);
+        assert.equal(result.currency, 'USD');
+        assert.deepEqual(result.sources, ['Teste']);
+    });
+
+    it('aplica porcentagem sobre o valor à esquerda', () => {
+        assert.equal(calculate('1500 USD - 10%').result, 1350);
+        assert.equal(calculate('200 + 5%').result, 210);
+    });
+
+    it('usa a cotação atual nas variáveis', () => {
+        const exchangeData = { pair: 'USD-BRL', rate: 5.5, bid: 5.4, ask: 5.6, source: 'Teste' };
+        const result = calculate('100 * venda', { target: 'BRL', exchangeData });
+
+        assert.equal(result.result, 560);
+        assert.equal(result.currency, 'BRL');
+    });
+
+    it('dá proporção sem moeda ao dividir moeda por moeda', () => {
+        const result = calculate('300 USD / 100 USD');
+        assert.equal(result.result, 3);
+        assert.equal(result.currency, null);
+    });
+
+    it('recusa contas sem sentido', () => {
+        assert.throws(() => calculator.parse(''), /Digite uma expressão/);
+        assert.throws(() => calculate('10%'), /Porcentagem solta/);
+        assert.throws(() => calculate('10 USD * 2 USD'), /multiplicar dois valores em moeda/);
+        assert.throws(() => calculate('10 / 2 USD'), /dividir um número por um valor em moeda/);
+        assert.throws(() => calculate('10 USD / 0'), /Divisão por zero/);
+        assert.throws(() => calculate('10 USD + 5 EUR in USD', { target: 'USD' }), /Sem taxa de EUR/);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calendar = require('../lib/calendar');
+
+const iso = date => calendar.toISODate(date);
+
+describe('calendar', () => {
+    it('calcula os feriados móveis a partir da Páscoa', () => {
+        const holidays = calendar.getHolidays(2026);
+
+        assert.equal(holidays.get('2026-02-16'), 'Carnaval (segunda-feira)');
+        assert.equal(holidays.get('2026-02-17'), 'Carnaval (terça-feira)');
+        assert.equal(holidays.get('2026-04-03'), 'Sexta-feira Santa');
+        assert.equal(holidays.get('2026-06-04'), 'Corpus Christi');
+    });
+
+    it('inclui os feriados fixos e respeita o ano de início', () => {
+        assert.equal(calendar.getHolidays(2025).get('2025-12-25'), 'Natal');
+        assert.equal(calendar.getHolidays(2023).has('2023-11-20'), false);
+        assert.equal(calendar.getHolidays(2024).get('2024-11-20'), 'Dia Nacional de Zumbi e da Consciência Negra');
+    });
+
+    it('não considera fim de semana nem feriado como dia útil', () => {
+        assert.equal(calendar.isBusinessDay(calendar.fromISODate('2026-03-13')), true);
+        assert.equal(calendar.isBusinessDay(calendar.fromISODate('2026-03-14')), false);
+        assert.equal(calendar.isBusinessDay(calendar.fromISODate('2026-04-21')), false);
+    });
+
+    it('recua até o último dia útil passando por feriados', () => {
+        assert.equal(iso(calendar.lastBusinessDay(calendar.fromISODate('2026-04-05'))), '2026-04-02');
+        assert.equal(iso(calendar.lastBusinessDay(calendar.fromISODate('2026-03-13'))), '2026-03-13');
+        assert.equal(iso(calendar.previousBusinessDay(calendar.fromISODate('2026-02-18'))), '2026-02-13');
+    });
+
+    it('lista os candidatos a PTAX do mais recente para trás', () => {
+        const candidates = calendar.getPtaxCandidates(calendar.fromISODate('2026-02-18')).map(iso);
+
+        assert.equal(candidates.length, calendar.config.ptaxLookbackDays);
+        assert.deepEqual(candidates.slice(0, 3), ['2026-02-18', '2026-02-13', '2026-02-12']);
+    });
+});
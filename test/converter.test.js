@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const converter = require('../lib/converter');
+const Decimal = require('../lib/utils/decimal');
+
+describe('converter.validateAmount', () => {
+    it('aceita milhar pt-BR, símbolo e contas', () => {
+        assert.equal(converter.validateAmount('1.000,50').exact, '1000.50');
+        assert.equal(converter.validateAmount('R$ 25', 'BRL').value, 25);
+        assert.equal(converter.validateAmount('120+35,90').value, 155.9);
+    });
+
+    it('recusa zero, salvo quando permitido', () => {
+        assert.equal(converter.validateAmount('0').isValid, false);
+        assert.equal(converter.validateAmount('0', null, { allowZero: true }).isValid, true);
+        assert.equal(converter.validateAmount('0-1', null, { allowZero: true }).isValid, false);
+    });
+
+    it('recusa valor em outra moeda', () => {
+        assert.match(converter.validateAmount('US$ 50', 'BRL').error, /Valor em USD/);
+    });
+});
+
+describe('converter.calculateCost', () => {
+    it('soma spread, IOF sobre o valor com spread e tarifas', () => {
+        const cost = converter.calculateCost(100, 5, { preset: 'card', spreadPercent: '4', fixedFee: '10', pair: 'USD-BRL' });
+
+        assert.deepEqual(cost.breakdown, { value: 500, spread: 20, iof: 18.2, fees: 10, total: 548.2 });
+        assert.equal(cost.effectiveRate, 5.2);
+        assert.equal(cost.totalRate, 5.482);
+    });
+
+    it('fecha o total com a soma das parcelas arredondadas', () => {
+        const cost = converter.calculateCost('33.33', '5.4321', { preset: 'wire', spreadPercent: '1.5', fixedFee: 0, pair: 'USD-BRL' });
+        const { value, spread, iof, fees, total } = cost.breakdown;
+
+        assert.equal(Math.round((value + spread + iof + fees) * 100), Math.round(total * 100));
+    });
+
+    it('recusa preset desconhecido e valores negativos', () => {
+        assert.throws(() => converter.calculateCost(100, 5, { preset: 'pix' }), /Preset de IOF desconhecido/);
+        assert.throws(() => converter.calculateCost(100, 5, { fixedFee: '-1' }), /não podem ser negativos/);
+    });
+});
+
+describe('converter.calculateRequired', () => {
+    const options = { preset: 'wire', spreadPercent: '1.5', fixedFee: '7.5', foreignFee: '25', pair: 'USD-BRL' };
+
+    it('paga o suficiente para chegar ao menos o alvo', () => {
+        for (const target of ['2000', '33.33', '0.01', '1234.57', '999.99']) {
+            const required = converter.calculateRequired(target, '5.4321', options);
+
+            // 🔁 Caminho de ida: desconta tarifas, IOF e spread do total pago e a tarifa no exterior do valor comprado
+            const bought = Decimal.from(required.breakdown.total).minus(options.fixedFee)
+                .dividedBy(Decimal.from(1).plus(Decimal.from(required.iofPercent).dividedBy(100, 12)), 12)
+                .dividedBy(Decimal.from(1).plus(Decimal.from(options.spreadPercent).dividedBy(100, 12)), 12)
+                .dividedBy('5.4321', 12);
+            assert.ok(bought.minus(options.foreignFee).compare(target) >= 0, `alvo ${target}: total ${required.breakdown.total}`);
+        }
+    });
+
+    it('arredonda o total para cima e fecha o breakdown', () => {
+        const required = converter.calculateRequired('33.33', '5.4321', options);
+        const { value, spread, iof, fees, total } = required.breakdown;
+
+        assert.ok(Decimal.from(total).compare(required.rawTotal) >= 0);
+        assert.ok(Decimal.from(total).minus(required.rawTotal).compare('0.01') < 0);
+        assert.equal(Decimal.from(value).plus(spread).plus(iof).plus(fees).toString(), Decimal.from(total).toString());
+    });
+
+    it('recusa tarifa no exterior negativa', () => {
+        assert.throws(() => converter.calculateRequired(100, 5, { foreignFee: '-1' }), /não pode ser negativa/);
+    });
+});
+
+describe('converter.getFiscalReference', () => {
+    it('usa 31/12 do ano da operação quando já passou', () => {
+        const date = converter.getFiscalDate('year-end', new Date(2025, 4, 10), new Date(2026, 9, 19));
+        assert.deepEqual(date, new Date(2025, 11, 31));
+    });
+
+    it('usa 31/12 do último ano encerrado quando o do ano corrente ainda não chegou', () => {
+        const date = converter.getFiscalDate('year-end', new Date(2026, 9, 19), new Date(2026, 9, 19));
+        assert.deepEqual(date, new Date(2025, 11, 31));
+    });
+
+    it('resolve bens e direitos sem data para uma data passada', () => {
+        const fiscal = converter.getFiscalReference('assets');
+        assert.ok(fiscal.referenceDate <= fiscal.operationDate);
+        assert.match(fiscal.referenceDate, /-12-31$/);
+    });
+});
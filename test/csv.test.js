@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../lib/utils/csv');
+
+describe('csv', () => {
+    it('detecta vírgula e ponto e vírgula do Excel pt-BR', () => {
+        assert.equal(csv.parse('a,b\n1,2').delimiter, ',');
+        assert.deepEqual(csv.parse('valor;data\n1,50;2026-03-10'), {
+            delimiter: ';',
+            columns: ['valor', 'data'],
+            rows: [{ valor: '1,50', data: '2026-03-10' }]
+        });
+    });
+
+    it('respeita aspas, aspas duplicadas, quebras de linha e BOM', () => {
+        const table = csv.parse('﻿nome,obs\r\n"Silva, Ana","disse ""oi""\nde novo"\r\n\r\n');
+        assert.deepEqual(table.rows, [{ nome: 'Silva, Ana', obs: 'disse "oi"\nde novo' }]);
+    });
+
+    it('completa campos ausentes com vazio', () => {
+        assert.deepEqual(csv.parse('a,b,c\n1').rows, [{ a: '1', b: '', c: '' }]);
+    });
+
+    it('recusa arquivo vazio e aspas sem fechar', () => {
+        assert.throws(() => csv.parse(' \n'), /CSV vazio/);
+        assert.throws(() => csv.parse('a\n"1'), /aspas sem fechar/);
+    });
+
+    it('grava com aspas só onde precisa e relê igual', () => {
+        const rows = [{ a: '1,5', b: 'x' }, { a: 'diz "sim"', b: null }];
+        const text = csv.stringify(['a', 'b'], rows, ',');
+
+        assert.equal(text, 'a,b\n"1,5",x\n"diz ""sim""",');
+        assert.deepEqual(csv.parse(text).rows, [{ a: '1,5', b: 'x' }, { a: 'diz "sim"', b: '' }]);
+        assert.equal(csv.stringify(['a'], [{ a: '1,5' }], ';'), 'a\n1,5');
+    });
+});
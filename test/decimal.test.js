@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Decimal = require('../lib/utils/decimal');
+
+const round = (value, precision, mode) => Decimal.from(value).round(precision, mode).toString();
+const divide = (a, b, scale) => Decimal.from(a).dividedBy(b, scale).toString();
+
+describe('Decimal', () => {
+    it('soma e multiplica sem erro de ponto flutuante', () => {
+        assert.equal(Decimal.from('0.1').plus('0.2').toString(), '0.3');
+        assert.equal(Decimal.from('1.1').times('1.1').toString(), '1.21');
+        assert.equal(Decimal.from('5').minus('5.01').toString(), '-0.01');
+    });
+
+    it('arredonda meio para o par (bancário)', () => {
+        assert.equal(round('2.345', 2, 'half-even'), '2.34');
+        assert.equal(round('2.355', 2, 'half-even'), '2.36');
+        assert.equal(round('2.3451', 2, 'half-even'), '2.35');
+        assert.equal(round('-2.345', 2, 'half-even'), '-2.34');
+    });
+
+    it('arredonda meio para longe do zero', () => {
+        assert.equal(round('2.345', 2, 'half-up'), '2.35');
+        assert.equal(round('-2.345', 2, 'half-up'), '-2.35');
+        assert.equal(round('2.344', 2, 'half-up'), '2.34');
+    });
+
+    it('trunca sem arredondar', () => {
+        assert.equal(round('2.349', 2, 'truncate'), '2.34');
+        assert.equal(round('-2.349', 2, 'truncate'), '-2.34');
+    });
+
+    it('arredonda para cima em direção ao +∞', () => {
+        assert.equal(round('2.341', 2, 'ceiling'), '2.35');
+        assert.equal(round('2.340', 2, 'ceiling'), '2.34');
+        assert.equal(round('-2.349', 2, 'ceiling'), '-2.34');
+    });
+
+    it('completa casas ao arredondar para mais precisão', () => {
+        assert.equal(round('5', 2), '5.00');
+    });
+
+    it('rejeita modo de arredondamento desconhecido', () => {
+        assert.throws(() => round('1.5', 0, 'sorteio'), /Modo de arredondamento inválido/);
+    });
+
+    it('divide arredondando pelo resto exato', () => {
+        assert.equal(divide('1', '3', 4), '0.3333');
+        assert.equal(divide('2', '3', 4), '0.6667');
+        assert.equal(divide('-1', '3', 4), '-0.3333');
+        assert.equal(divide('1', '8', 2), '0.12');
+        assert.equal(divide('3', '8', 2), '0.38');
+        assert.equal(divide('0.1251', '1', 2), '0.13');
+        assert.equal(divide('100', '5.4231', 6), '18.439638');
+    });
+
+    it('rejeita divisão por zero', () => {
+        assert.throws(() => divide('1', '0', 2), /Divisão por zero/);
+    });
+});
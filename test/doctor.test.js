@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const doctor = require('../lib/doctor');
+const fixtures = require('../lib/utils/fixtures');
+const lastKnownGood = require('../lib/utils/lastKnownGood');
+const logger = require('../lib/utils/logger');
+
+logger.setQuiet(true);
+
+// 📄 Marcação no formato do Google Finance (o ícone da direção é um <path> sem texto)
+const page = direction => `<html><body><main><div class="rPF6Lc"><div>
+    <span><div class="YMlKec fxKbKc">5,4230</div></span>
+    <div class="JwB6zf">0,12%</div>
+    <span class="P2Luy Ebnabc ZYVHBb">+0,0065 Hoje</span>
+    ${direction ? '<span class="NMm5M"><svg focusable="false" viewBox="0 0 24 24"><path d="M4 12l1.41 1.41"></path></svg></span>' : ''}
+</div></div></body></html>`;
+
+describe('doctor', () => {
+    let directory;
+    const sources = Object.fromEntries(doctor.config.sources.map(source => [source.provider, source]));
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ravc-doctor-'));
+        lastKnownGood.load = () => null;
+        fixtures.setMode('replay', directory);
+    });
+
+    after(() => {
+        fixtures.setMode(null);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const check = async (source, html) => {
+        fixtures.save(source, { id: source.provider }, html, 'USD-BRL');
+        return doctor.checkSource(source, { ok: false, installed: false }, 'USD-BRL');
+    };
+
+    it('encontra todos os seletores do Google (Playwright), inclusive o ícone da direção', async () => {
+        const result = await check(sources['google-finance'], page(true));
+
+        assert.equal(result.status, 'ok');
+        assert.equal(result.rate, 5.423);
+        assert.deepEqual(result.selectors.filter(item => !item.matched), []);
+    });
+
+    it('marca como parcial quando o ícone da direção some', async () => {
+        const result = await check(sources['google-finance'], page(false));
+
+        assert.equal(result.status, 'degraded');
+        assert.deepEqual(result.selectors.filter(item => !item.matched).map(item => item.name), ['direction']);
+    });
+
+    it('encontra os seletores do Google (HTTP)', async () => {
+        const result = await check(sources['google-finance-http'], page(false));
+
+        assert.equal(result.status, 'ok');
+        assert.equal(result.selectors.length, 4);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fileConverter = require('../lib/fileConverter');
+const history = require('../lib/history');
+const scraper = require('../lib/scraper');
+const csv = require('../lib/utils/csv');
+const logger = require('../lib/utils/logger');
+
+logger.setQuiet(true);
+
+describe('fileConverter', () => {
+    before(() => {
+        scraper.setPair('USD-BRL');
+        scraper.getQuotes = async () => ({
+            'USD-BRL': { pair: 'USD-BRL', rate: 5.5, bid: 5.5, ask: 5.6, source: 'Ao vivo', timestamp: new Date(2026, 9, 19, 12).toISOString() }
+        });
+        history.getRatesOn = async () => new Map([
+            ['2026-03-10', { pair: 'USD-BRL', rate: 5, bid: 5, ask: 5.1, source: 'PTAX', timestamp: '2026-03-10T13:00:00.000Z', referenceDate: '2026-03-10' }]
+        ]);
+    });
+
+    it('converte com a PTAX do dia e com a cotação atual nas linhas sem data', async () => {
+        const table = { format: 'csv', ...csv.parse('valor;data\n10;2026-03-10\n"1.000,50";\nabc;') };
+        const result = await fileConverter.convertTable(table, { column: 'valor', from: 'USD', to: 'BRL', dateColumn: 'data' });
+        const [dated, live, invalid] = result.rows;
+
+        assert.equal(dated.valor_brl, '50.00');
+        assert.equal(dated.rate_date, '2026-03-10');
+        assert.equal(live.valor_brl, '5502.75');
+        assert.equal(live.rate_source, 'Ao vivo');
+        assert.equal(live.rate_date, '2026-10-19');
+        assert.match(invalid.error, /Não entendi/);
+        assert.equal(invalid.rate_date, '');
+        assert.deepEqual([result.converted, result.failed], [2, 1]);
+    });
+
+    it('lê números JSON sem ambiguidade, inclusive em notação exponencial', async () => {
+        const table = { format: 'jsonl', delimiter: null, ...fileConverter.parseJsonLines('{"valor":1.234}\n{"valor":1e21}\n{"valor":1e-7}\n{"valor":0}') };
+        const result = await fileConverter.convertTable(table, { column: 'valor', from: 'USD', to: 'BRL' });
+
+        assert.deepEqual(result.rows.map(row => row.valor_brl), [6.79, 5.5e21, 0, '']);
+        assert.deepEqual(result.rows.map(row => row.error), ['', '', '', 'Digite um valor maior que zero']);
+    });
+
+    it('só adiciona rate_date quando há coluna de data', async () => {
+        const table = { format: 'csv', ...csv.parse('valor\n10') };
+        const result = await fileConverter.convertTable(table, { column: 'valor', from: 'USD', to: 'BRL' });
+
+        assert.deepEqual(result.columns, ['valor', 'valor_brl', 'rate', 'rate_source', 'rate_timestamp', 'error']);
+    });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const history = require('../lib/history');
+const scraper = require('../lib/scraper');
+const logger = require('../lib/utils/logger');
+
+logger.setQuiet(true);
+
+describe('history', () => {
+    const { fetchJson } = history;
+    let calls;
+
+    beforeEach(() => {
+        calls = [];
+        // 📼 Resposta fixa da API Olinda, registrando a consulta feita
+        history.fetchJson = async (apiUrl, source, key) => {
+            calls.push({ apiUrl, key });
+            return {
+                value: [
+                    { cotacaoCompra: 6.1, cotacaoVenda: 6.2, dataHoraCotacao: '2026-10-16 10:08:00.000', tipoBoletim: 'Abertura' },
+                    { cotacaoCompra: 6.15, cotacaoVenda: 6.25, dataHoraCotacao: '2026-10-16 13:07:00.000', tipoBoletim: 'Fechamento' }
+                ]
+            };
+        };
+    });
+
+    it('obtém a moeda da PTAX do par e recusa pares sem real', () => {
+        assert.equal(history.getCurrency('eur-brl'), 'EUR');
+        assert.throws(() => history.getCurrency('EUR-USD'), /PTAX só existe contra o real; EUR-USD/);
+    });
+
+    it('consulta o período na moeda pedida', async () => {
+        const rates = await history.getRange('2026-10-16', '2026-10-16', 'EUR');
+
+        assert.match(calls[0].apiUrl, /@moeda='EUR'/);
+        assert.equal(calls[0].key, 'EUR-BRL_2026-10-16_2026-10-16');
+        assert.deepEqual(rates.map(rate => rate.sell), [6.25]);
+        assert.match(history.toTable(rates, 'EUR'), /PTAX de EUR/);
+    });
+
+    it('consulta os boletins na moeda pedida', async () => {
+        const exchangeData = await history.getBulletins('2026-10-16', 'EUR');
+
+        assert.match(calls[0].apiUrl, /@moeda='EUR'/);
+        assert.equal(calls[0].key, 'EUR-BRL_2026-10-16');
+        assert.equal(exchangeData.pair, 'EUR-BRL');
+        assert.equal(exchangeData.rate, 6.25);
+    });
+
+    it('cancela a consulta pelo Ctrl+C do scraper', async () => {
+        const original = global.fetch;
+        // 🌐 Requisição que só termina quando o sinal é abortado
+        global.fetch = (url, options) => new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        });
+        history.fetchJson = fetchJson;
+
+        try {
+            const pending = history.getRange('2026-10-16', '2026-10-16', 'EUR');
+            await new Promise(resolve => setImmediate(resolve));
+
+            assert.equal(scraper.cancel(), true);
+            await assert.rejects(pending, { code: 'ECANCELED' });
+            assert.equal(scraper.activeOperations, 0);
+        } finally {
+            global.fetch = original;
+        }
+    });
+});
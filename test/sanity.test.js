@@ -0,0 +1,33 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const lastKnownGood = require('../lib/utils/lastKnownGood');
+const logger = require('../lib/utils/logger');
+const sanity = require('../lib/utils/sanity');
+
+logger.setQuiet(true);
+
+describe('sanity', () => {
+    beforeEach(() => {
+        sanity.rejectedJumps.clear();
+        lastKnownGood.load = () => ({ data: { rate: 5, source: 'Anterior' }, age: 1000 });
+    });
+
+    it('rejeita taxa fora dos limites do par', () => {
+        assert.equal(sanity.check({ rate: 54, source: 'A' }, 'USD-BRL').isValid, false);
+    });
+
+    it('rejeita salto visto por uma única fonte', () => {
+        assert.equal(sanity.check({ rate: 5.6, source: 'A' }, 'USD-BRL').isValid, false);
+        assert.equal(sanity.check({ rate: 5.61, source: 'A' }, 'USD-BRL').isValid, false);
+    });
+
+    it('aceita o salto quando outra fonte confirma a taxa', () => {
+        assert.equal(sanity.check({ rate: 5.6, source: 'A' }, 'USD-BRL').isValid, false);
+        assert.equal(sanity.check({ rate: 5.62, source: 'B' }, 'USD-BRL').isValid, true);
+    });
+
+    it('não confirma salto com taxa distante da rejeitada', () => {
+        assert.equal(sanity.check({ rate: 5.6, source: 'A' }, 'USD-BRL').isValid, false);
+        assert.equal(sanity.check({ rate: 6, source: 'B' }, 'USD-BRL').isValid, false);
+    });
+});
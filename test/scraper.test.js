@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fixtures = require('../lib/utils/fixtures');
+const logger = require('../lib/utils/logger');
+const scraper = require('../lib/scraper');
+
+logger.setQuiet(true);
+
+describe('scraper', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ravc-fixtures-'));
+        const source = scraper.resolveSource('awesome');
+        const provider = { id: source.provider };
+        const quote = (bid, ask) => ({ bid: String(bid), ask: String(ask), pctChange: '0.1', varBid: '0.01' });
+
+        fixtures.setMode('record', directory);
+        fixtures.save(source, provider, { USDBRL: quote(5.4, 5.41) }, 'USD-BRL');
+        fixtures.save(source, provider, { EURBRL: quote(6.2, 6.21) }, 'EUR-BRL');
+        fixtures.setMode('replay', directory);
+        scraper.setPreferredSources('awesome');
+    });
+
+    after(() => {
+        fixtures.setMode(null);
+        scraper.setPreferredSources(null);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('cota vários pares sem trocar o par atual', async () => {
+        scraper.setPair('USD-BRL');
+        const quotes = await scraper.getQuotes(['eur-brl', 'USD-BRL']);
+
+        assert.equal(scraper.pair, 'USD-BRL');
+        assert.equal(quotes['EUR-BRL'].pair, 'EUR-BRL');
+        assert.equal(quotes['EUR-BRL'].rate, 6.2);
+        assert.equal(quotes['USD-BRL'].rate, 5.4);
+    });
+
+    it('mantém o par de cada busca feita em paralelo', async () => {
+        const [euro, dollar] = await Promise.all([
+            scraper.revalidate('EUR-BRL'),
+            scraper.getExchangeRate({ pair: 'USD-BRL' }),
+            scraper.revalidate('USD-BRL')
+        ]);
+
+        assert.equal(euro.pair, 'EUR-BRL');
+        assert.equal(euro.rate, 6.2);
+        assert.equal(dollar.pair, 'USD-BRL');
+        assert.equal(dollar.rate, 5.4);
+        assert.equal(scraper.pendingRevalidations.size, 0);
+    });
+});
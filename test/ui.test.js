@@ -0,0 +1,93 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const history = require('../lib/history');
+const scraper = require('../lib/scraper');
+const calendar = require('../lib/calendar');
+const logger = require('../lib/utils/logger');
+const ui = require('../lib/ui');
+
+logger.setQuiet(true);
+
+describe('ui', () => {
+    before(() => {
+        // 🏛️ PTAX fixa para qualquer data pedida, sem rede
+        history.getRatesOn = async (dates, currency) => new Map(dates.map(date => [date, {
+            pair: `${currency}-BRL`, rate: 5, bid: 5, ask: 5.1, source: 'PTAX', timestamp: `${date}T13:00:00.000Z`, referenceDate: date
+        }]));
+    });
+
+    it('converte pelo preset de bens e direitos sem data', async () => {
+        const conversion = await ui.convertAtFiscalRate('100', 'USD', 'BRL', 'assets', null);
+
+        assert.equal(conversion.result, 500);
+        assert.ok(conversion.fiscal.referenceDate <= calendar.toISODate(new Date()));
+        assert.match(conversion.fiscal.referenceDate, /-12-31$/);
+    });
+
+    it('mostra o histórico PTAX da moeda do par atual', async () => {
+        const urls = [];
+        const printed = [];
+        const { fetchJson } = history;
+        const { log } = console;
+        history.fetchJson = async apiUrl => {
+            urls.push(apiUrl);
+            return { value: [{ cotacaoCompra: 6.1, cotacaoVenda: 6.2, dataHoraCotacao: '2026-10-16 13:07:00.000', tipoBoletim: 'Fechamento' }] };
+        };
+        console.log = text => printed.push(text);
+
+        try {
+            scraper.setPair('EUR-BRL');
+            ui.options = { from: '2026-10-16', to: '2026-10-16' };
+            await ui.showHistory();
+        } finally {
+            history.fetchJson = fetchJson;
+            console.log = log;
+            scraper.setPair('USD-BRL');
+            ui.options = {};
+        }
+
+        assert.match(urls[0], /@moeda='EUR'/);
+        assert.match(printed.join('\n'), /PTAX de EUR/);
+    });
+
+    it('ignora o cache ao atualizar a cotação pelo menu', async () => {
+        const requests = [];
+        const original = { getExchangeRate: scraper.getExchangeRate, clear: console.clear };
+        scraper.getExchangeRate = async options => {
+            requests.push(options);
+            return { pair: 'USD-BRL', rate: 5.5, source: 'Teste' };
+        };
+        console.clear = () => {};
+        ui.showWelcome = () => {};
+        ui.showRateBox = () => {};
+
+        try {
+            await ui.handleMenuAction('refresh');
+        } finally {
+            scraper.getExchangeRate = original.getExchangeRate;
+            console.clear = original.clear;
+            delete ui.showWelcome;
+            delete ui.showRateBox;
+        }
+
+        assert.equal(requests[0].forceRefresh, true);
+        assert.equal(ui.currentExchangeData.rate, 5.5);
+    });
+
+    it('deixa o ENOQUOTE do scraper seguir até o index', async () => {
+        const { getExchangeRate, createFallbackData } = scraper;
+        const failure = Object.assign(new Error('❌ Todas as fontes falharam e não há cotação conhecida'), { code: 'ENOQUOTE' });
+        let fallbackCalled = false;
+        scraper.getExchangeRate = async () => { throw failure; };
+        scraper.createFallbackData = () => { fallbackCalled = true; };
+
+        try {
+            await assert.rejects(ui.fetchExchangeRate(), error => error === failure);
+        } finally {
+            scraper.getExchangeRate = getExchangeRate;
+            scraper.createFallbackData = createFallbackData;
+        }
+
+        assert.equal(fallbackCalled, false);
+    });
+});